@@ -0,0 +1,69 @@
+// CSV según RFC 4180: separador coma, campos entre comillas dobles ("" escapa una comilla)
+// y saltos de línea permitidos dentro de los campos entrecomillados.
+
+// Las celdas que empiezan por estos caracteres se interpretan como fórmulas en las hojas de cálculo;
+// al exportar se les antepone un apóstrofo y al importar se quita.
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+const formatCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX_REGEX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Una línea CSV terminada en CRLF
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+const unescapeCsvValue = (text) => (text.startsWith("'") && FORMULA_PREFIX_REGEX.test(text.slice(1)) ? text.slice(1) : text);
+
+// Devuelve { rows } con cada fila como lista de textos (sin las líneas vacías) o { error }
+const parseCsv = (text) => {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(unescapeCsvValue(field));
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(unescapeCsvValue(field));
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        return { error: 'Hay un campo entrecomillado sin cerrar.' };
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(unescapeCsvValue(field));
+        rows.push(row);
+    }
+    return { rows: rows.filter(values => values.length > 1 || values[0] !== '') };
+};
+
+module.exports = { formatCsvRow, parseCsv };
@@ -0,0 +1,83 @@
+// Generación de calendarios iCalendar (RFC 5545) con VEVENT o VTODO por elemento.
+// Cada elemento: { uid, summary, description, date, categories, priority, url, updatedAt }.
+
+const PRODUCT_ID = '-//ZenMatrix//Tareas//ES';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 2025-01-31T09:30:00.000Z -> 20250131T093000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Las líneas de más de 75 octetos se parten y continúan con un espacio, sin cortar caracteres multibyte
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const formatItem = (item, componentType, now) => {
+    const lines = [
+        `BEGIN:${componentType}`,
+        `UID:${item.uid}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        // En un VTODO la fecha es el vencimiento; en un VEVENT, el inicio (sin duración)
+        componentType === 'VTODO' ? `DUE:${formatDateTime(item.date)}` : `DTSTART:${formatDateTime(item.date)}`,
+        `SUMMARY:${escapeText(item.summary)}`,
+    ];
+    if (item.description) {
+        lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+    }
+    if (item.categories && item.categories.length > 0) {
+        lines.push(`CATEGORIES:${item.categories.map(escapeText).join(',')}`);
+    }
+    if (item.priority) {
+        lines.push(`PRIORITY:${item.priority}`);
+    }
+    if (item.url) {
+        lines.push(`URL:${item.url}`);
+    }
+    if (item.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(item.updatedAt)}`);
+    }
+    if (componentType === 'VTODO') {
+        lines.push('STATUS:NEEDS-ACTION');
+    }
+    lines.push(`END:${componentType}`);
+    return lines;
+};
+
+// Devuelve el texto completo del calendario; `componentType` es 'VEVENT' o 'VTODO'
+const formatCalendar = ({ name, items, componentType = 'VEVENT' }) => {
+    const now = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...items.flatMap(item => formatItem(item, componentType, now)),
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { formatCalendar };
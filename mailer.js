@@ -0,0 +1,26 @@
+const { createRegistry, createConsoleSink, createFileSink } = require('./sinks');
+
+// Un transporte es cualquier objeto con `send({ to, subject, text })` que devuelva una promesa.
+// Para producción basta con registrar uno que hable con SMTP o con un proveedor externo.
+
+// Transporte de desarrollo: imprime el correo por consola
+const createConsoleTransport = () => createConsoleSink(({ to, subject, text }) => `📧 Correo para ${to}: ${subject}\n${text}`);
+
+// Transporte de desarrollo y tests: un archivo JSON por correo en `dir`
+const createFileTransport = (options) => createFileSink(options, ({ to }) => `${Date.now()}-${to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`);
+
+const transports = createRegistry('Transporte de correo', {
+    console: createConsoleTransport,
+    file: createFileTransport,
+});
+
+const registerTransport = transports.register;
+
+const createMailer = ({ transport = 'console', from, ...options } = {}) => {
+    const instance = transports.create(transport, options);
+    return {
+        sendMail: ({ to, subject, text }) => instance.send({ from, to, subject, text })
+    };
+};
+
+module.exports = { createMailer, registerTransport, createConsoleTransport, createFileTransport };
@@ -0,0 +1,56 @@
+// Tipos de evento del centro de notificaciones y cómo se redactan.
+// Para añadir uno nuevo basta con registrarlo con `registerEventType` y emitirlo desde la ruta que lo provoca;
+// las preferencias de usuario y la validación de rutas lo incluyen automáticamente.
+// `describe` recibe { actorEmail, task, ...payload } y devuelve { title, body }.
+
+const eventTypes = {};
+// Lista viva de tipos registrados (la usan los esquemas de validación)
+const NOTIFICATION_TYPES = [];
+
+const registerEventType = (type, { describe }) => {
+    eventTypes[type] = { describe };
+    if (!NOTIFICATION_TYPES.includes(type)) {
+        NOTIFICATION_TYPES.push(type);
+    }
+};
+
+const describeEvent = (type, payload) => {
+    const eventType = eventTypes[type];
+    if (!eventType) {
+        throw new Error(`Tipo de notificación desconocido: ${type}`);
+    }
+    return eventType.describe(payload);
+};
+
+const excerpt = (text, length = 200) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+const actorName = (actorEmail) => actorEmail || 'Alguien';
+
+registerEventType('TASK_ASSIGNED', {
+    describe: ({ actorEmail, task }) => ({ title: `${actorName(actorEmail)} te asignó "${task.titulo}"`, body: null })
+});
+
+registerEventType('TASK_UPDATED', {
+    describe: ({ actorEmail, task, fields }) => ({
+        title: `${actorName(actorEmail)} actualizó "${task.titulo}"`,
+        body: `Campos modificados: ${fields.join(', ')}.`
+    })
+});
+
+registerEventType('TASK_COMPLETED', {
+    describe: ({ actorEmail, task }) => ({ title: `${actorName(actorEmail)} completó "${task.titulo}"`, body: null })
+});
+
+registerEventType('TASK_COMMENTED', {
+    describe: ({ actorEmail, task, comment }) => ({ title: `${actorName(actorEmail)} comentó en "${task.titulo}"`, body: excerpt(comment.body) })
+});
+
+registerEventType('COMMENT_MENTION', {
+    describe: ({ actorEmail, task, comment }) => ({ title: `${actorName(actorEmail)} te mencionó en "${task.titulo}"`, body: excerpt(comment.body) })
+});
+
+// Recordatorios de vencimiento: el texto ya viene redactado por el planificador
+registerEventType('TASK_REMINDER', {
+    describe: ({ title, body }) => ({ title, body })
+});
+
+module.exports = { NOTIFICATION_TYPES, registerEventType, describeEvent };
@@ -0,0 +1,36 @@
+const { createRegistry, createConsoleSink, createFileSink } = require('./sinks');
+
+// Un canal es cualquier objeto con `send(notification)` que devuelva una promesa, donde
+// notification = { id, userId, email, title, body, taskId }. Para push, Slack, etc. basta con registrar otro canal.
+
+// Canal en la aplicación: el aviso ya queda guardado en la base de datos y el usuario lo consulta por la API.
+// El servidor lo sustituye con registerChannel para publicarlo además en el centro de notificaciones.
+const createInAppChannel = () => ({
+    send: async () => {}
+});
+
+// Canal de desarrollo: imprime el aviso por consola
+const createLogChannel = () => createConsoleSink(({ email, title, body }) => `🔔 Aviso para ${email}: ${title}\n${body}`);
+
+// Canal de desarrollo y tests: un archivo JSON por aviso en `dir`
+const createFileChannel = (options) => createFileSink(options, ({ userId, id }) => `${Date.now()}-${userId}-${id}.json`);
+
+const channels = createRegistry('Canal de avisos', {
+    inApp: createInAppChannel,
+    log: createLogChannel,
+    file: createFileChannel,
+});
+
+const registerChannel = channels.register;
+
+// Envía cada aviso por todos los canales indicados
+const createNotifier = ({ channels: names = ['inApp'], ...options } = {}) => {
+    const instances = names.map(name => channels.create(name, options));
+    return {
+        notify: async (notification) => {
+            await Promise.all(instances.map(instance => instance.send(notification)));
+        }
+    };
+};
+
+module.exports = { createNotifier, registerChannel, createInAppChannel, createLogChannel, createFileChannel };
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `Task` ADD COLUMN `urgente` BOOLEAN NULL,
+    ADD COLUMN `importante` BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE `Project` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `color` VARCHAR(191) NULL,
+    `archived` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `ownerId` INTEGER NOT NULL,
+
+    UNIQUE INDEX `Project_ownerId_name_key`(`ownerId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `Task` ADD COLUMN `projectId` INTEGER NULL;
+
+-- Backfill: un proyecto por cada valor distinto de `proyecto` de cada usuario
+INSERT INTO `Project` (`name`, `ownerId`, `createdAt`, `updatedAt`)
+SELECT DISTINCT `proyecto`, `userId`, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM `Task`;
+
+UPDATE `Task` t
+INNER JOIN `Project` p ON p.`ownerId` = t.`userId` AND p.`name` = t.`proyecto`
+SET t.`projectId` = p.`id`;
+
+-- AddForeignKey
+ALTER TABLE `Project` ADD CONSTRAINT `Project_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Task` ADD CONSTRAINT `Task_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `ProjectMember` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `role` VARCHAR(191) NOT NULL DEFAULT 'VIEWER',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `projectId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+
+    UNIQUE INDEX `ProjectMember_projectId_userId_key`(`projectId`, `userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: el propietario de cada proyecto pasa a ser miembro OWNER
+INSERT INTO `ProjectMember` (`role`, `createdAt`, `projectId`, `userId`)
+SELECT 'OWNER', CURRENT_TIMESTAMP(3), `id`, `ownerId`
+FROM `Project`;
+
+-- AddForeignKey
+ALTER TABLE `ProjectMember` ADD CONSTRAINT `ProjectMember_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ProjectMember` ADD CONSTRAINT `ProjectMember_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
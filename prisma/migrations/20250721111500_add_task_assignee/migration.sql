@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Task` ADD COLUMN `assigneeId` INTEGER NULL;
+
+-- AddForeignKey
+ALTER TABLE `Task` ADD CONSTRAINT `Task_assigneeId_fkey` FOREIGN KEY (`assigneeId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `Session` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `refreshTokenHash` VARCHAR(191) NOT NULL,
+    `previousRefreshTokenHash` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(191) NULL,
+    `ip` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastUsedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `userId` INTEGER NOT NULL,
+
+    UNIQUE INDEX `Session_refreshTokenHash_key`(`refreshTokenHash`),
+    UNIQUE INDEX `Session_previousRefreshTokenHash_key`(`previousRefreshTokenHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Session` ADD CONSTRAINT `Session_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
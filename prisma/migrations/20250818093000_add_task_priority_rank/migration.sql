@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `Task` ADD COLUMN `prioridadRank` INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill del rango a partir de la prioridad existente
+UPDATE `Task` SET `prioridadRank` = CASE LOWER(`prioridad`)
+    WHEN 'alta' THEN 3
+    WHEN 'media' THEN 2
+    WHEN 'baja' THEN 1
+    ELSE 0
+END;
+
+-- CreateIndex
+CREATE INDEX `Task_prioridadRank_idx` ON `Task`(`prioridadRank`);
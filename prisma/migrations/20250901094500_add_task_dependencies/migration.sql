@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `TaskDependency` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `taskId` INTEGER NOT NULL,
+    `blockerId` INTEGER NOT NULL,
+
+    INDEX `TaskDependency_blockerId_idx`(`blockerId`),
+    UNIQUE INDEX `TaskDependency_taskId_blockerId_key`(`taskId`, `blockerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `TaskDependency` ADD CONSTRAINT `TaskDependency_taskId_fkey` FOREIGN KEY (`taskId`) REFERENCES `Task`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `TaskDependency` ADD CONSTRAINT `TaskDependency_blockerId_fkey` FOREIGN KEY (`blockerId`) REFERENCES `Task`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
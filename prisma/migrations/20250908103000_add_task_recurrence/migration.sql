@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `Task` ADD COLUMN `recurrenceRule` VARCHAR(191) NULL,
+    ADD COLUMN `recurrenceSeriesId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Task_recurrenceSeriesId_idx` ON `Task`(`recurrenceSeriesId`);
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `TaskAudit` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `action` VARCHAR(191) NOT NULL,
+    `taskId` INTEGER NOT NULL,
+    `changes` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `actorId` INTEGER NULL,
+
+    INDEX `TaskAudit_taskId_createdAt_idx`(`taskId`, `createdAt`),
+    INDEX `TaskAudit_actorId_createdAt_idx`(`actorId`, `createdAt`),
+    INDEX `TaskAudit_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `TaskAudit` ADD CONSTRAINT `TaskAudit_actorId_fkey` FOREIGN KEY (`actorId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Task` ADD COLUMN `deletedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Task_deletedAt_idx` ON `Task`(`deletedAt`);
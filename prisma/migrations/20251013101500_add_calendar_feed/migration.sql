@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE `CalendarFeed` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastUsedAt` DATETIME(3) NULL,
+    `userId` INTEGER NOT NULL,
+
+    UNIQUE INDEX `CalendarFeed_tokenHash_key`(`tokenHash`),
+    UNIQUE INDEX `CalendarFeed_userId_key`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CalendarFeed` ADD CONSTRAINT `CalendarFeed_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
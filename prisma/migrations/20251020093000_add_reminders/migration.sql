@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `reminderLeadMinutes` JSON NULL,
+    ADD COLUMN `remindOverdue` BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE `Reminder` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `kind` VARCHAR(191) NOT NULL,
+    `leadMinutes` INTEGER NOT NULL,
+    `dueAt` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `deliveredAt` DATETIME(3) NULL,
+    `dismissedAt` DATETIME(3) NULL,
+    `taskId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+
+    INDEX `Reminder_userId_deliveredAt_idx`(`userId`, `deliveredAt`),
+    INDEX `Reminder_deliveredAt_idx`(`deliveredAt`),
+    UNIQUE INDEX `Reminder_taskId_userId_kind_leadMinutes_dueAt_key`(`taskId`, `userId`, `kind`, `leadMinutes`, `dueAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Reminder` ADD CONSTRAINT `Reminder_taskId_fkey` FOREIGN KEY (`taskId`) REFERENCES `Task`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Reminder` ADD CONSTRAINT `Reminder_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
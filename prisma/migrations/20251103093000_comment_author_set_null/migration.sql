@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE `Comment` DROP FOREIGN KEY `Comment_authorId_fkey`;
+
+-- AlterTable
+ALTER TABLE `Comment` MODIFY `authorId` INTEGER NULL;
+
+-- AddForeignKey
+ALTER TABLE `Comment` ADD CONSTRAINT `Comment_authorId_fkey` FOREIGN KEY (`authorId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,171 @@
+// Reglas de recurrencia al estilo RRULE (RFC 5545), con el subconjunto que usa ZenMatrix:
+//   FREQ=DAILY;INTERVAL=2                 cada 2 días
+//   FREQ=WEEKLY;BYDAY=MO,TH               cada semana los lunes y jueves
+//   FREQ=MONTHLY;BYMONTHDAY=15            el día 15 de cada mes (-1 = último día del mes)
+//   FREQ=DAILY;INTERVAL=10;FROM=COMPLETION  10 días después de completar la anterior (extensión propia)
+//   UNTIL=20261231                        sin ocurrencias posteriores a esa fecha
+// Todos los cálculos se hacen en UTC y conservan la hora de la fecha base.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Devuelve { rule } con la regla normalizada o { error } con un mensaje legible
+const parseRule = (text) => {
+    const parts = {};
+    for (const part of text.toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!key || !value) {
+            return { error: `Fragmento inválido: ${part}.` };
+        }
+        parts[key] = value;
+    }
+
+    const rule = { freq: parts.FREQ, interval: 1, byDay: null, byMonthDay: null, fromCompletion: false, until: null };
+    if (!FREQUENCIES.includes(rule.freq)) {
+        return { error: `FREQ debe ser ${FREQUENCIES.join(', ')}.` };
+    }
+    for (const [key, value] of Object.entries(parts)) {
+        switch (key) {
+            case 'FREQ':
+                break;
+            case 'INTERVAL':
+                rule.interval = Number(value);
+                if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+                    return { error: 'INTERVAL debe ser un entero entre 1 y 365.' };
+                }
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',');
+                if (rule.freq !== 'WEEKLY' || !rule.byDay.every(day => WEEKDAYS.includes(day))) {
+                    return { error: `BYDAY solo se admite con FREQ=WEEKLY y valores ${WEEKDAYS.join(', ')}.` };
+                }
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = Number(value);
+                if (rule.freq !== 'MONTHLY' || !Number.isInteger(rule.byMonthDay) || rule.byMonthDay === 0 || rule.byMonthDay < -1 || rule.byMonthDay > 31) {
+                    return { error: 'BYMONTHDAY solo se admite con FREQ=MONTHLY y debe estar entre 1 y 31 (o -1).' };
+                }
+                break;
+            case 'FROM':
+                if (value !== 'COMPLETION' && value !== 'DUE') {
+                    return { error: 'FROM debe ser COMPLETION o DUE.' };
+                }
+                rule.fromCompletion = value === 'COMPLETION';
+                break;
+            case 'UNTIL': {
+                const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+                const [year, month, day] = match ? match.slice(1).map(Number) : [];
+                rule.until = match ? new Date(Date.UTC(year, month - 1, day, 23, 59, 59)) : null;
+                if (!rule.until || Number.isNaN(rule.until.getTime())) {
+                    return { error: 'UNTIL debe tener el formato AAAAMMDD.' };
+                }
+                // Date.UTC desborda las fechas imposibles (20251399 sería marzo de 2026): se rechazan
+                if (rule.until.getUTCFullYear() !== year || rule.until.getUTCMonth() !== month - 1 || rule.until.getUTCDate() !== day) {
+                    return { error: 'UNTIL no es una fecha válida.' };
+                }
+                break;
+            }
+            default:
+                return { error: `Parámetro no soportado: ${key}.` };
+        }
+    }
+    return { rule };
+};
+
+// En reglas mensuales sin BYMONTHDAY fija el día del primer vencimiento, para que 31/01 no derive a 28/02 y luego a 28/03
+const anchorRule = (rule, dueDate) => {
+    if (rule.freq === 'MONTHLY' && !rule.byMonthDay && dueDate) {
+        return { ...rule, byMonthDay: dueDate.getUTCDate() };
+    }
+    return rule;
+};
+
+// Serializa la regla a texto canónico para guardarla
+const formatRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval !== 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay) {
+        parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    }
+    if (rule.byMonthDay) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    }
+    if (rule.fromCompletion) {
+        parts.push('FROM=COMPLETION');
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${rule.until.toISOString().slice(0, 10).replace(/-/g, '')}`);
+    }
+    return parts.join(';');
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const startOfWeek = (date) => {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return day.getTime() - day.getUTCDay() * DAY_MS;
+};
+
+// Primera ocurrencia estrictamente posterior a `base`
+const nextAfter = (rule, base) => {
+    if (rule.freq === 'DAILY') {
+        return new Date(base.getTime() + rule.interval * DAY_MS);
+    }
+    if (rule.freq === 'WEEKLY') {
+        if (!rule.byDay) {
+            return new Date(base.getTime() + rule.interval * 7 * DAY_MS);
+        }
+        const baseWeek = startOfWeek(base);
+        for (let offset = 1; offset <= rule.interval * 7 + 7; offset++) {
+            const candidate = new Date(base.getTime() + offset * DAY_MS);
+            const weekIndex = Math.round((startOfWeek(candidate) - baseWeek) / (7 * DAY_MS));
+            if (weekIndex % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[candidate.getUTCDay()])) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+    // MONTHLY: el día pedido (o el de la base), ajustado al último día si el mes es más corto
+    const targetDay = rule.byMonthDay || base.getUTCDate();
+    for (let step = 0; step <= 2; step++) {
+        const monthIndex = base.getUTCMonth() + step * rule.interval;
+        const year = base.getUTCFullYear() + Math.floor(monthIndex / 12);
+        const month = monthIndex % 12;
+        const lastDay = daysInMonth(year, month);
+        const day = targetDay === -1 ? lastDay : Math.min(targetDay, lastDay);
+        const candidate = new Date(Date.UTC(year, month, day, base.getUTCHours(), base.getUTCMinutes(), base.getUTCSeconds()));
+        if (candidate > base) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+// Fecha de vencimiento de la siguiente ocurrencia al completar una; null si la serie terminó
+const nextOccurrence = (rule, { dueDate, completedAt }) => {
+    const base = rule.fromCompletion || !dueDate ? completedAt : dueDate;
+    const next = nextAfter(rule, base);
+    if (!next || (rule.until && next > rule.until)) {
+        return null;
+    }
+    return next;
+};
+
+// Próximas `count` fechas a partir de `from`, suponiendo que cada ocurrencia se completa en su vencimiento
+const upcomingOccurrences = (rule, from, count) => {
+    const dates = [];
+    let current = from;
+    while (dates.length < count) {
+        current = nextOccurrence(rule, { dueDate: current, completedAt: current });
+        if (!current) {
+            break;
+        }
+        dates.push(current);
+    }
+    return dates;
+};
+
+module.exports = { parseRule, anchorRule, formatRule, nextOccurrence, upcomingOccurrences };
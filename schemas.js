@@ -0,0 +1,332 @@
+// Esquemas de validación de cada ruta (ver validation.js)
+const { NOTIFICATION_TYPES } = require('./notifications');
+
+const PRIORITIES = ['alta', 'media', 'baja'];
+const USER_ROLES = ['USER', 'ADMIN'];
+const PROJECT_ROLES = ['OWNER', 'EDITOR', 'VIEWER'];
+const HEX_COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+// Los ids son columnas INT: fuera de rango se responde 400 en lugar de dejar fallar a Prisma
+const MAX_ID = 2147483647;
+const id = { type: 'int', required: true, min: 1, max: MAX_ID };
+const optionalId = { type: 'int', min: 1, max: MAX_ID };
+const text = { type: 'string', min: 1, max: 191 };
+// bcrypt solo usa los primeros 72 bytes; las contraseñas no se recortan
+const password = { type: 'string', required: true, min: 8, maxBytes: 72, trim: false };
+const token = { type: 'string', required: true, min: 1, max: 512 };
+const page = { type: 'int', min: 1, default: 1 };
+const limit = { type: 'int', min: 1, max: 100, default: 10 };
+
+const idParams = { id };
+
+// Autenticación
+const register = { body: { email: { type: 'email', required: true }, password } };
+// Solo el registro exige formato de email: las cuentas anteriores pueden tener cualquier texto como email
+const existingEmail = { ...text, required: true };
+const login = { body: { email: existingEmail, password: { type: 'string', required: true, trim: false } } };
+const emailOnly = { body: { email: existingEmail } };
+const verifyEmail = { body: { token } };
+const resetPassword = { body: { token, password } };
+const refreshToken = { body: { refreshToken: token } };
+const sessionParams = { params: idParams };
+
+// Proyectos
+const projectFields = {
+    name: text,
+    description: { type: 'string', max: 191, nullable: true },
+    color: { type: 'string', nullable: true, pattern: HEX_COLOR_REGEX, patternMessage: 'Debe tener el formato #RRGGBB.' },
+};
+const createProject = { body: { ...projectFields, name: { ...text, required: true } } };
+const listProjects = { query: { includeArchived: { type: 'boolean', default: false } } };
+const projectParams = { params: idParams };
+const updateProject = { params: idParams, body: { ...projectFields, archived: { type: 'boolean' } } };
+
+const memberParams = { params: { id, userId: id } };
+const addMember = {
+    params: idParams,
+    body: { email: { type: 'email', required: true }, role: { type: 'enum', values: PROJECT_ROLES, default: 'VIEWER' } }
+};
+const updateMember = { ...memberParams, body: { role: { type: 'enum', values: PROJECT_ROLES, required: true } } };
+
+// Etiquetas
+const tagFields = {
+    name: { type: 'string', min: 1, max: 64 },
+    color: projectFields.color,
+};
+const listTags = { query: { projectId: optionalId } };
+const createTag = { body: { ...tagFields, name: { ...tagFields.name, required: true }, projectId: optionalId } };
+const tagParams = { params: idParams };
+const updateTag = { params: idParams, body: tagFields };
+
+const tagIds = { type: 'array', max: 50, items: optionalId };
+
+// Tareas
+const taskFields = {
+    proyecto: text,
+    projectId: { ...optionalId, nullable: true },
+    responsable: text,
+    assigneeId: { ...optionalId, nullable: true },
+    titulo: text,
+    // La columna es TEXT (65.535 bytes): 16.000 caracteres caben aunque todos ocupen 4 bytes
+    descripcion: { type: 'string', max: 16000, nullable: true },
+    fechaVencimiento: { type: 'date', nullable: true },
+    prioridad: { type: 'enum', values: PRIORITIES },
+    urgente: { type: 'boolean', nullable: true },
+    importante: { type: 'boolean' },
+    tagIds,
+};
+const recurrenceRule = { type: 'string', min: 1, max: 191 };
+const createTask = {
+    body: {
+        ...taskFields,
+        titulo: { ...text, required: true },
+        prioridad: { ...taskFields.prioridad, required: true },
+        recurrenceRule,
+    }
+};
+const updateTask = {
+    params: idParams,
+    body: {
+        ...taskFields,
+        fechaTerminada: { type: 'date', nullable: true },
+        isCompleted: { type: 'boolean' },
+        overrideBlockers: { type: 'boolean', default: false },
+    }
+};
+const taskParams = { params: idParams };
+const completeTask = {
+    params: idParams,
+    body: {
+        fechaTerminada: { type: 'date' },
+        overrideBlockers: { type: 'boolean', default: false },
+    }
+};
+// Filtros de GET /api/tasks, compartidos con la edición masiva
+const taskFilterFields = {
+    search: { type: 'string', max: 191 },
+    priority: { type: 'enum', values: PRIORITIES },
+    isCompleted: { type: 'boolean' },
+    blocked: { type: 'boolean' },
+    proyecto: { type: 'string', max: 191 },
+    projectId: optionalId,
+    assignee: optionalId,
+    assignedToMe: { type: 'boolean', default: false },
+    excludeSubtasks: { type: 'boolean', default: false },
+    tags: { type: 'array', max: 20, items: { type: 'string', min: 1, max: 64 } },
+    tagsMode: { type: 'enum', values: ['any', 'all'], default: 'any' },
+};
+const listTasks = {
+    query: {
+        ...taskFilterFields,
+        sort: { type: 'string', max: 256 },
+        sortBy: { type: 'string', max: 64 },
+        sortDirection: { type: 'enum', values: ['asc', 'desc'] },
+        page,
+        limit,
+        pagination: { type: 'enum', values: ['offset', 'cursor'], default: 'offset' },
+        cursor: { type: 'string', max: 256 },
+        includeTotal: { type: 'boolean' },
+    }
+};
+const exportTasks = { query: { ...taskFilterFields, format: { type: 'enum', values: ['csv', 'json'], default: 'csv' } } };
+const importTasks = { query: { dryRun: { type: 'boolean', default: false } } };
+// Reglas de cada fila importada (columnas admitidas)
+const importTaskRow = {
+    proyecto: { ...text, required: true },
+    responsable: { ...text, required: true },
+    titulo: { ...text, required: true },
+    descripcion: taskFields.descripcion,
+    // Opcional: permite conservar la fecha de inicio de una exportación; si falta, la tarea empieza al importarla
+    fechaInicio: { type: 'date' },
+    fechaVencimiento: taskFields.fechaVencimiento,
+    prioridad: { ...taskFields.prioridad, required: true },
+};
+const bulkTasks = {
+    body: {
+        ids: { type: 'array', min: 1, max: 500, items: optionalId },
+        filter: { type: 'object', fields: taskFilterFields, source: 'query' },
+        action: { type: 'enum', values: ['update', 'complete', 'reopen', 'delete', 'move'], required: true },
+        fields: {
+            type: 'object',
+            fields: {
+                responsable: taskFields.responsable,
+                assigneeId: taskFields.assigneeId,
+                fechaVencimiento: taskFields.fechaVencimiento,
+                prioridad: taskFields.prioridad,
+                urgente: taskFields.urgente,
+                importante: taskFields.importante,
+            }
+        },
+        projectId: { ...optionalId, nullable: true },
+        overrideBlockers: { type: 'boolean', default: false },
+        dryRun: { type: 'boolean', default: false },
+    }
+};
+const matrix = {
+    query: {
+        proyecto: { type: 'string', max: 191 },
+        projectId: optionalId,
+        includeCompleted: { type: 'boolean', default: false },
+    }
+};
+const stats = {
+    query: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        granularity: { type: 'enum', values: ['day', 'week'], default: 'day' },
+        projectId: optionalId,
+    }
+};
+
+const previewRecurrence = { params: idParams, query: { count: { type: 'int', min: 1, max: 50, default: 5 } } };
+const updateRecurrence = { params: idParams, body: { recurrenceRule: { ...recurrenceRule, required: true } } };
+
+const listNotifications = { query: { unread: { type: 'boolean' }, page, limit } };
+const notificationParams = { params: idParams };
+// NOTIFICATION_TYPES es una lista viva: los tipos registrados más tarde también se aceptan
+const updateNotificationPreference = {
+    params: { type: { type: 'enum', values: NOTIFICATION_TYPES, required: true } },
+    body: { enabled: { type: 'boolean', required: true } }
+};
+
+const listReminders = { query: { includeDismissed: { type: 'boolean', default: false }, page, limit } };
+const reminderParams = { params: idParams };
+const updateReminderSettings = {
+    body: {
+        leadMinutes: { type: 'array', max: 5, items: { type: 'int', min: 1, max: 30 * 24 * 60 } },
+        remindOverdue: { type: 'boolean' },
+    }
+};
+
+const calendarFeed = {
+    params: { token },
+    query: {
+        proyecto: taskFilterFields.proyecto,
+        priority: taskFilterFields.priority,
+        type: { type: 'enum', values: ['event', 'todo'], default: 'event' },
+    }
+};
+
+const listTrash = { query: { page, limit } };
+const purgeTrash = { query: { olderThanDays: { type: 'int', min: 0 } } };
+
+const taskHistory = { params: idParams, query: { page, limit } };
+
+const commentBody = { type: 'string', required: true, min: 1, max: 5000 };
+const listComments = { params: idParams, query: { page, limit } };
+const createComment = { params: idParams, body: { body: commentBody } };
+const commentParams = { params: { id, commentId: id } };
+const updateComment = { ...commentParams, body: { body: commentBody } };
+const listMentions = { query: { page, limit } };
+
+const addDependency = { params: idParams, body: { blockerId: id } };
+const dependencyParams = { params: { id, blockerId: id } };
+
+const subtaskParams = { params: { id, subtaskId: id } };
+const createSubtask = {
+    params: idParams,
+    body: {
+        titulo: { ...text, required: true },
+        descripcion: taskFields.descripcion,
+        fechaVencimiento: taskFields.fechaVencimiento,
+        assigneeId: taskFields.assigneeId,
+    }
+};
+const updateSubtask = {
+    ...subtaskParams,
+    body: { titulo: text, isCompleted: { type: 'boolean' }, overrideBlockers: { type: 'boolean', default: false } }
+};
+const reorderSubtasks = {
+    params: idParams,
+    body: { ids: { type: 'array', required: true, min: 1, items: optionalId } }
+};
+
+// Administración
+const listUsers = {
+    query: {
+        search: { type: 'string', max: 191 },
+        role: { type: 'enum', values: USER_ROLES },
+        disabled: { type: 'boolean' },
+        page,
+        limit,
+    }
+};
+const userParams = { params: idParams };
+const changeUserRole = { params: idParams, body: { role: { type: 'enum', values: USER_ROLES, required: true } } };
+const deleteUser = { params: idParams, query: { reassignTo: optionalId } };
+const listAudit = {
+    query: {
+        userId: optionalId,
+        taskId: optionalId,
+        action: { type: 'enum', values: ['CREATE', 'UPDATE', 'COMPLETE', 'DELETE', 'RESTORE', 'PURGE'] },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        page,
+        limit,
+    }
+};
+
+module.exports = {
+    PRIORITIES,
+    USER_ROLES,
+    PROJECT_ROLES,
+    schemas: {
+        register,
+        login,
+        emailOnly,
+        verifyEmail,
+        resetPassword,
+        refreshToken,
+        sessionParams,
+        createProject,
+        listProjects,
+        projectParams,
+        updateProject,
+        memberParams,
+        addMember,
+        updateMember,
+        listTags,
+        createTag,
+        tagParams,
+        updateTag,
+        createTask,
+        updateTask,
+        taskParams,
+        completeTask,
+        listTasks,
+        bulkTasks,
+        exportTasks,
+        importTasks,
+        importTaskRow,
+        matrix,
+        stats,
+        previewRecurrence,
+        updateRecurrence,
+        listNotifications,
+        notificationParams,
+        updateNotificationPreference,
+        listReminders,
+        reminderParams,
+        updateReminderSettings,
+        calendarFeed,
+        listTrash,
+        purgeTrash,
+        taskHistory,
+        listComments,
+        createComment,
+        commentParams,
+        updateComment,
+        listMentions,
+        addDependency,
+        dependencyParams,
+        subtaskParams,
+        createSubtask,
+        updateSubtask,
+        reorderSubtasks,
+        listUsers,
+        userParams,
+        changeUserRole,
+        deleteUser,
+        listAudit,
+    },
+};
@@ -1,30 +1,259 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { once } = require('events');
+const { createMailer } = require('./mailer');
+const { createNotifier, registerChannel } = require('./notifier');
+const { NOTIFICATION_TYPES, describeEvent } = require('./notifications');
+const { validate, validateSource } = require('./validation');
+const { schemas, PROJECT_ROLES } = require('./schemas');
+const { parseRule, anchorRule, formatRule, nextOccurrence, upcomingOccurrences } = require('./recurrence');
+const { formatCsvRow, parseCsv } = require('./csv');
+const { formatCalendar } = require('./icalendar');
 
 const app = express();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
+const mailer = createMailer({
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'ZenMatrix <no-reply@zenmatrix.local>',
+    dir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox'
+});
+// El canal inApp publica el recordatorio en el centro de notificaciones del usuario
+registerChannel('inApp', () => ({
+    send: ({ userId, taskId, title, body }) => notifyUsers(prisma, 'TASK_REMINDER', { recipientIds: [userId], task: { id: taskId }, title, body })
+}));
+// Canales de los recordatorios (separados por comas): inApp, log, file o los registrados con registerChannel.
+// log y file son para desarrollo (REMINDER_CHANNELS=inApp,log): imprimen o guardan el email del destinatario
+const notifier = createNotifier({
+    channels: (process.env.REMINDER_CHANNELS || 'inApp').split(',').map(channel => channel.trim()).filter(Boolean),
+    dir: process.env.REMINDER_OUTBOX_DIR || 'reminder-outbox'
+});
+const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED !== 'false';
+const REMINDER_INTERVAL_MS = (parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000;
+// Horas antes del vencimiento en las que una tarea sin `urgente` explícito se considera urgente
+const URGENCY_WINDOW_HOURS = parseInt(process.env.URGENCY_WINDOW_HOURS) || 48;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '5mb';
+
+// Cuadrantes de la matriz de Eisenhower
+const QUADRANTS = ['hacer', 'planificar', 'delegar', 'eliminar'];
+
+// Una tarea es urgente si así se marcó; si no se indicó, se deriva de la proximidad de su fecha de vencimiento
+const isTaskUrgent = (task, now = new Date()) => {
+    if (task.urgente !== null && task.urgente !== undefined) {
+        return task.urgente;
+    }
+    if (!task.fechaVencimiento) {
+        return false;
+    }
+    const hoursLeft = (new Date(task.fechaVencimiento) - now) / (1000 * 60 * 60);
+    return hoursLeft <= URGENCY_WINDOW_HOURS;
+};
+
+const getTaskQuadrant = (task, now = new Date()) => {
+    const urgente = isTaskUrgent(task, now);
+    if (task.importante) {
+        return urgente ? 'hacer' : 'planificar';
+    }
+    return urgente ? 'delegar' : 'eliminar';
+};
+
+// Relaciones que se devuelven junto con cada tarea
+const TASK_INCLUDE = {
+    user: {
+        select: {
+            id: true,
+            email: true,
+            role: true
+        }
+    },
+    project: {
+        select: {
+            id: true,
+            name: true,
+            color: true,
+            archived: true
+        }
+    },
+    assignee: {
+        select: {
+            id: true,
+            email: true
+        }
+    },
+    tags: {
+        select: {
+            id: true,
+            name: true,
+            color: true
+        }
+    }
+};
+
+// Rango semántico de cada prioridad (alta > media > baja), guardado en `prioridadRank` para ordenar en la base de datos
+const PRIORITY_RANK = { alta: 3, media: 2, baja: 1 };
+const priorityRank = (prioridad) => (prioridad === undefined ? undefined : PRIORITY_RANK[prioridad] || 0);
+
+// Campos por los que se puede ordenar el listado de tareas y su traducción a `orderBy` de Prisma
+const TASK_SORT_FIELDS = {
+    titulo: (direction) => ({ titulo: direction }),
+    proyecto: (direction) => ({ proyecto: direction }),
+    responsable: (direction) => ({ responsable: direction }),
+    prioridad: (direction) => ({ prioridadRank: direction }),
+    isCompleted: (direction) => ({ isCompleted: direction }),
+    fechaInicio: (direction) => ({ fechaInicio: direction }),
+    fechaVencimiento: (direction) => ({ fechaVencimiento: { sort: direction, nulls: 'last' } }),
+    fechaTerminada: (direction) => ({ fechaTerminada: { sort: direction, nulls: 'last' } }),
+    createdAt: (direction) => ({ createdAt: direction }),
+    updatedAt: (direction) => ({ updatedAt: direction }),
+    'user.email': (direction) => ({ user: { email: direction } }),
+    'project.name': (direction) => ({ project: { name: direction } }),
+    'assignee.email': (direction) => ({ assignee: { email: direction } }),
+};
+
+// Campos que pueden ser nulos (o venir de una relación opcional): el cursor de Prisma compara con > / < los valores
+// de la fila frontera y con un NULL se saltaría filas, así que no se admiten en la paginación por cursor
+const NULLABLE_SORT_FIELDS = ['fechaVencimiento', 'fechaTerminada', 'project.name', 'assignee.email'];
+
+// Traduce `sort=campo:dir,campo:dir` (o el antiguo `sortBy` + `sortDirection`) a una lista `orderBy`.
+// Siempre se añade `id` como desempate para que el orden sea estable entre páginas.
+const parseTaskSort = ({ sort, sortBy, sortDirection }) => {
+    const specs = sort
+        ? sort.split(',').map(part => part.trim()).filter(Boolean)
+        : (sortBy ? [`${sortBy}:${sortDirection || 'asc'}`] : ['createdAt:desc']);
+    const orderBy = [];
+    const fields = [];
+    for (const spec of specs) {
+        const [field, direction = 'asc'] = spec.split(':');
+        if (!TASK_SORT_FIELDS[field]) {
+            return { error: `Campo de ordenamiento inválido: ${field}. Valores permitidos: ${Object.keys(TASK_SORT_FIELDS).join(', ')}.` };
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            return { error: `Dirección de ordenamiento inválida para ${field}: usa asc o desc.` };
+        }
+        orderBy.push(TASK_SORT_FIELDS[field](direction));
+        fields.push(field);
+    }
+    orderBy.push({ id: 'desc' });
+    return { orderBy, fields };
+};
+
+// Cursores opacos de paginación: codifican el id de la tarea frontera y la dirección (next/prev)
+const encodeCursor = (id, direction) => Buffer.from(JSON.stringify({ id, direction })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { id, direction } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Number.isInteger(id) || (direction !== 'next' && direction !== 'prev')) {
+            return null;
+        }
+        return { id, direction };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Paginación por página: `page` de `model` y su recuento en una sola transacción.
+// Devuelve { items, pagination } con pagination = { totalCount, currentPage, limit, totalPages }.
+const paginate = async (model, { where, orderBy, include }, { page, limit }) => {
+    const [totalCount, items] = await prisma.$transaction([
+        model.count({ where }),
+        model.findMany({ where, orderBy, include, skip: (page - 1) * limit, take: limit })
+    ]);
+    return { items, pagination: { totalCount, currentPage: page, limit, totalPages: Math.ceil(totalCount / limit) } };
+};
+
+// Roles de proyecto que permiten modificar sus tareas
+const PROJECT_WRITE_ROLES = ['OWNER', 'EDITOR'];
 
 // Middlewares
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// La importación admite archivos más grandes y CSV en texto plano; el parser general ya no vuelve a leer ese cuerpo
+app.use('/api/tasks/import', express.json({ limit: IMPORT_MAX_BYTES }), express.text({ type: 'text/csv', limit: IMPORT_MAX_BYTES }));
 app.use(express.json());
 
 app.get('/', (req, res) => {
     res.send('¡La API de ZenMatrix está funcionando! 🎉');
 });
 
+// Los tokens aleatorios (refresh, verificación, reseteo) se guardan solo como hash SHA-256
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, sessionId) => {
+    return jwt.sign({ userId: user.id, role: user.role, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Tokens de un solo uso enviados por email y su vigencia
+const USER_TOKEN_TTL_MS = {
+    EMAIL_VERIFICATION: 24 * 60 * 60 * 1000,
+    PASSWORD_RESET: 60 * 60 * 1000
+};
+
+// Genera un token de un solo uso (invalidando los pendientes del mismo tipo) y devuelve el token en claro
+const createUserToken = async (userId, type) => {
+    const token = generateToken();
+    await prisma.$transaction([
+        prisma.userToken.updateMany({
+            where: { userId, type, usedAt: null },
+            data: { usedAt: new Date() }
+        }),
+        prisma.userToken.create({
+            data: { userId, type, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + USER_TOKEN_TTL_MS[type]) }
+        })
+    ]);
+    return token;
+};
+
+// Marca el token como usado y devuelve su registro; null si no existe, ya se usó o expiró
+const consumeUserToken = async (token, type) => {
+    const userToken = await prisma.userToken.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!userToken || userToken.type !== type || userToken.usedAt || userToken.expiresAt < new Date()) {
+        return null;
+    }
+    // El filtro por usedAt evita que dos peticiones simultáneas consuman el mismo token
+    const { count } = await prisma.userToken.updateMany({
+        where: { id: userToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+    });
+    return count === 1 ? userToken : null;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user.id, 'EMAIL_VERIFICATION');
+    await mailer.sendMail({
+        to: user.email,
+        subject: 'Verifica tu email en ZenMatrix',
+        text: `Para activar tu cuenta abre este enlace (válido 24 horas):\n${APP_URL}/verify-email?token=${token}`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await createUserToken(user.id, 'PASSWORD_RESET');
+    await mailer.sendMail({
+        to: user.email,
+        subject: 'Restablece tu contraseña de ZenMatrix',
+        text: `Para elegir una nueva contraseña abre este enlace (válido 1 hora):\n${APP_URL}/reset-password?token=${token}\nSi no lo solicitaste, ignora este correo.`
+    });
+};
+
 // Rutas de Autenticación (Registro y Login)
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', validate(schemas.register), async (req, res) => {
     try {
         const { email, password } = req.body;
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email y contraseña son obligatorios.' });
-        }
         const existingUser = await prisma.user.findUnique({ where: { email } });
         if (existingUser) {
             return res.status(409).json({ error: 'El email ya está registrado.' });
@@ -33,20 +262,23 @@ app.post('/api/register', async (req, res) => {
         const newUser = await prisma.user.create({
             data: { email, password: hashedPassword, role: "USER" }
         });
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            // La cuenta ya existe: el usuario puede pedir que se reenvíe el correo
+            console.error('Error al enviar el correo de verificación:', mailError);
+        }
         const { password: userPassword, ...userWithoutPassword } = newUser;
-        res.status(201).json({ message: 'Usuario registrado exitosamente', user: userWithoutPassword });
+        res.status(201).json({ message: 'Usuario registrado exitosamente. Revisa tu email para verificar la cuenta.', user: userWithoutPassword });
     } catch (error) {
         console.error('Error en el registro de usuario:', error);
         res.status(500).json({ error: 'No se pudo registrar el usuario.', details: error.message });
     }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', validate(schemas.login), async (req, res) => {
     try {
         const { email, password } = req.body;
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email y contraseña son obligatorios.' });
-        }
         const user = await prisma.user.findUnique({ where: { email } });
         if (!user) {
             return res.status(401).json({ error: 'Credenciales inválidas.' });
@@ -55,15 +287,145 @@ app.post('/api/login', async (req, res) => {
         if (!isPasswordValid) {
             return res.status(401).json({ error: 'Credenciales inválidas.' });
         }
-        const token = jwt.sign({ userId: user.id, role: user.role }, JWT_SECRET, { expiresIn: '1h' });
+        if (user.disabledAt) {
+            return res.status(403).json({ error: 'La cuenta está deshabilitada.' });
+        }
+        if (!user.emailVerifiedAt) {
+            return res.status(403).json({ error: 'Debes verificar tu email antes de iniciar sesión.' });
+        }
+        const refreshToken = generateToken();
+        const session = await prisma.session.create({
+            data: {
+                userId: user.id,
+                refreshTokenHash: hashToken(refreshToken),
+                userAgent: req.headers['user-agent'],
+                ip: req.ip,
+                expiresAt: refreshTokenExpiry()
+            }
+        });
+        const token = signAccessToken(user, session.id);
         const { password: userPassword, ...userWithoutPassword } = user;
-        res.status(200).json({ message: 'Inicio de sesión exitoso', token, user: userWithoutPassword });
+        res.status(200).json({ message: 'Inicio de sesión exitoso', token, refreshToken, user: userWithoutPassword });
     } catch (error) {
         console.error('Error en el inicio de sesión:', error);
         res.status(500).json({ error: 'No se pudo iniciar sesión.', details: error.message });
     }
 });
 
+// Rutas de Verificación de Email y Recuperación de Contraseña
+app.post('/api/email/verify', validate(schemas.verifyEmail), async (req, res) => {
+    try {
+        const { token } = req.body;
+        const userToken = await consumeUserToken(token, 'EMAIL_VERIFICATION');
+        if (!userToken) {
+            return res.status(400).json({ error: 'Token inválido o expirado.' });
+        }
+        await prisma.user.update({ where: { id: userToken.userId }, data: { emailVerifiedAt: new Date() } });
+        res.status(200).json({ message: 'Email verificado exitosamente.' });
+    } catch (error) {
+        console.error('Error al verificar el email:', error);
+        res.status(500).json({ error: 'No se pudo verificar el email.', details: error.message });
+    }
+});
+
+// Las respuestas no revelan si el email está registrado
+app.post('/api/email/verify/resend', validate(schemas.emailOnly), async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = await prisma.user.findUnique({ where: { email } });
+        if (user && !user.emailVerifiedAt) {
+            await sendVerificationEmail(user);
+        }
+        res.status(200).json({ message: 'Si la cuenta existe y no está verificada, recibirás un nuevo correo.' });
+    } catch (error) {
+        console.error('Error al reenviar la verificación:', error);
+        res.status(500).json({ error: 'No se pudo reenviar el correo de verificación.', details: error.message });
+    }
+});
+
+app.post('/api/password/forgot', validate(schemas.emailOnly), async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = await prisma.user.findUnique({ where: { email } });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+        res.status(200).json({ message: 'Si la cuenta existe, recibirás un correo para restablecer la contraseña.' });
+    } catch (error) {
+        console.error('Error al solicitar el restablecimiento de contraseña:', error);
+        res.status(500).json({ error: 'No se pudo procesar la solicitud.', details: error.message });
+    }
+});
+
+app.post('/api/password/reset', validate(schemas.resetPassword), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const userToken = await consumeUserToken(token, 'PASSWORD_RESET');
+        if (!userToken) {
+            return res.status(400).json({ error: 'Token inválido o expirado.' });
+        }
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // Quien recibe el correo demuestra ser dueño del email; se cierran todas las sesiones abiertas
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: userToken.userId },
+                data: { password: hashedPassword, emailVerifiedAt: new Date() }
+            }),
+            prisma.session.updateMany({
+                where: { userId: userToken.userId, revokedAt: null },
+                data: { revokedAt: new Date() }
+            })
+        ]);
+        res.status(200).json({ message: 'Contraseña restablecida exitosamente.' });
+    } catch (error) {
+        console.error('Error al restablecer la contraseña:', error);
+        res.status(500).json({ error: 'No se pudo restablecer la contraseña.', details: error.message });
+    }
+});
+
+// Rotación de refresh tokens: cada uso invalida el token presentado y devuelve uno nuevo
+app.post('/api/token/refresh', validate(schemas.refreshToken), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        const tokenHash = hashToken(refreshToken);
+        const session = await prisma.session.findUnique({ where: { refreshTokenHash: tokenHash }, include: { user: true } });
+        if (!session) {
+            // Un refresh token ya rotado que se vuelve a usar indica robo: se revoca la sesión entera
+            const reusedSession = await prisma.session.findUnique({ where: { previousRefreshTokenHash: tokenHash } });
+            if (reusedSession && !reusedSession.revokedAt) {
+                await prisma.session.update({ where: { id: reusedSession.id }, data: { revokedAt: new Date() } });
+            }
+            return res.status(401).json({ error: 'Refresh token inválido.' });
+        }
+        if (session.revokedAt || session.expiresAt < new Date()) {
+            return res.status(401).json({ error: 'La sesión ha expirado o ha sido cerrada.' });
+        }
+        if (session.user.disabledAt) {
+            return res.status(403).json({ error: 'La cuenta está deshabilitada.' });
+        }
+        const newRefreshToken = generateToken();
+        // La rotación reclama el token de forma atómica: si otra petición lo rotó a la vez, es una reutilización
+        const { count } = await prisma.session.updateMany({
+            where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+            data: {
+                refreshTokenHash: hashToken(newRefreshToken),
+                previousRefreshTokenHash: tokenHash,
+                lastUsedAt: new Date(),
+                expiresAt: refreshTokenExpiry()
+            }
+        });
+        if (count !== 1) {
+            await prisma.session.updateMany({ where: { id: session.id, revokedAt: null }, data: { revokedAt: new Date() } });
+            return res.status(401).json({ error: 'Refresh token inválido.' });
+        }
+        const token = signAccessToken(session.user, session.id);
+        res.status(200).json({ token, refreshToken: newRefreshToken });
+    } catch (error) {
+        console.error('Error al renovar el token:', error);
+        res.status(500).json({ error: 'No se pudo renovar el token.', details: error.message });
+    }
+});
+
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -75,152 +437,2820 @@ const authenticateToken = async (req, res, next) => {
             console.error('Error al verificar token:', err);
             return res.status(403).json({ error: 'Token inválido o expirado.' });
         }
+        const session = userPayload.sessionId && await prisma.session.findUnique({ where: { id: userPayload.sessionId } });
+        if (!session || session.revokedAt || session.userId !== userPayload.userId) {
+            return res.status(403).json({ error: 'Token inválido o expirado.' });
+        }
         const user = await prisma.user.findUnique({ where: { id: userPayload.userId } });
         if (!user) {
             return res.status(404).json({ error: 'Usuario no encontrado.' });
         }
-        req.user = { userId: user.id, role: user.role };
+        if (user.disabledAt) {
+            return res.status(403).json({ error: 'La cuenta está deshabilitada.' });
+        }
+        req.user = { userId: user.id, role: user.role, sessionId: session.id };
         next();
     });
 };
 
-// Rutas de Tareas Protegidas y con Lógica de Rol
-app.post('/api/tasks', authenticateToken, async (req, res) => {
+// Se usa después de authenticateToken: solo deja pasar a los usuarios con alguno de los roles indicados
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'No tienes permiso para realizar esta acción.' });
+    }
+    next();
+};
+
+// Rutas de Sesiones
+app.post('/api/logout', authenticateToken, async (req, res) => {
     try {
-        const { userId } = req.user;
-        const { proyecto, responsable, titulo, descripcion, fechaVencimiento, prioridad } = req.body;
-        if (!titulo || !proyecto || !responsable || !prioridad) {
-            return res.status(400).json({ error: 'Faltan campos obligatorios: titulo, proyecto, responsable, prioridad.' });
-        }
-        const parsedFechaVencimiento = fechaVencimiento ? new Date(fechaVencimiento) : undefined;
-        const newTask = await prisma.task.create({
-            data: { proyecto, responsable, titulo, descripcion, fechaVencimiento: parsedFechaVencimiento, prioridad, userId: userId }
+        await prisma.session.update({ where: { id: req.user.sessionId }, data: { revokedAt: new Date() } });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al cerrar sesión:', error);
+        res.status(500).json({ error: 'No se pudo cerrar la sesión.', details: error.message });
+    }
+});
+
+app.post('/api/logout/all', authenticateToken, async (req, res) => {
+    try {
+        const { count } = await prisma.session.updateMany({
+            where: { userId: req.user.userId, revokedAt: null },
+            data: { revokedAt: new Date() }
         });
-        res.status(201).json(newTask);
+        res.status(200).json({ message: 'Se cerraron todas las sesiones.', revokedSessions: count });
     } catch (error) {
-        console.error('Error al crear la tarea:', error);
-        res.status(500).json({ error: 'No se pudo crear la tarea.', details: error.message });
+        console.error('Error al cerrar todas las sesiones:', error);
+        res.status(500).json({ error: 'No se pudieron cerrar las sesiones.', details: error.message });
     }
 });
 
-app.get('/api/tasks', authenticateToken, async (req, res) => {
+app.get('/api/sessions', authenticateToken, async (req, res) => {
     try {
-        const { userId, role } = req.user;
-        const { search, priority, isCompleted, proyecto, sortBy, sortDirection, page, limit } = req.query;
+        const { userId, sessionId } = req.user;
+        const sessions = await prisma.session.findMany({
+            where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+            select: { id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+            orderBy: { lastUsedAt: 'desc' }
+        });
+        res.status(200).json(sessions.map(session => ({ ...session, current: session.id === sessionId })));
+    } catch (error) {
+        console.error('Error al obtener las sesiones:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las sesiones.', details: error.message });
+    }
+});
 
-        const whereClause = {};
-        if (role !== 'ADMIN') {
-            whereClause.userId = userId;
+app.delete('/api/sessions/:id', authenticateToken, validate(schemas.sessionParams), async (req, res) => {
+    try {
+        const { count } = await prisma.session.updateMany({
+            where: { id: req.params.id, userId: req.user.userId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        if (count === 0) {
+            return res.status(404).json({ error: 'Sesión no encontrada.' });
         }
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al cerrar la sesión:', error);
+        res.status(500).json({ error: 'No se pudo cerrar la sesión.', details: error.message });
+    }
+});
 
-        if (search) {
-            whereClause.OR = [
-                { titulo: { contains: search } },
-                { descripcion: { contains: search } },
-            ];
-        }
-        if (priority) {
-            whereClause.prioridad = priority;
-        }
-        if (isCompleted !== undefined && isCompleted !== null && isCompleted !== '') {
-            whereClause.isCompleted = isCompleted === 'true';
-        }
-        if (proyecto) {
-            whereClause.proyecto = { contains: proyecto };
-        }
+// Filtro de tareas visibles: las propias, las asignadas y las de los proyectos de los que el usuario es miembro (ADMIN ve todas).
+// Las tareas en la papelera quedan fuera salvo que se pida `trashed`, en cuyo caso solo se devuelven esas.
+const taskVisibilityWhere = ({ userId, role }, { trashed = false } = {}) => {
+    const deletedAt = trashed ? { not: null } : null;
+    if (role === 'ADMIN') {
+        return { deletedAt };
+    }
+    return {
+        deletedAt,
+        OR: [
+            { userId },
+            { assigneeId: userId },
+            { project: { members: { some: { userId } } } },
+        ]
+    };
+};
 
-        let orderByClause = {};
-        if (sortBy && sortDirection) {
-            orderByClause = { [sortBy]: sortDirection };
-        } else {
-            orderByClause = { createdAt: 'desc' };
-        }
+// Devuelve el proyecto si el usuario es ADMIN o miembro con alguno de los roles indicados; si no, null
+const findAccessibleProject = async (projectId, { userId, role }, allowedRoles = PROJECT_ROLES) => {
+    const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        include: { members: { where: { userId } } }
+    });
+    if (!project) {
+        return null;
+    }
+    if (role === 'ADMIN') {
+        return project;
+    }
+    const membership = project.members[0];
+    if (!membership || !allowedRoles.includes(membership.role)) {
+        return null;
+    }
+    return project;
+};
 
-        const pageNum = parseInt(page) || 1;
-        const limitNum = parseInt(limit) || 10;
-        const skip = (pageNum - 1) * limitNum;
+// Include necesario para `canEditTask`: la membresía del usuario en el proyecto de la tarea
+const editableTaskInclude = (userId) => ({ project: { include: { members: { where: { userId } } } } });
 
-        const totalCount = await prisma.task.count({ where: whereClause });
+// Puede modificar la tarea el ADMIN, su creador, su asignado o un OWNER/EDITOR de su proyecto
+const canEditTask = (task, { userId, role }) => {
+    if (role === 'ADMIN' || task.userId === userId || task.assigneeId === userId) {
+        return true;
+    }
+    const membership = task.project && task.project.members[0];
+    return Boolean(membership && PROJECT_WRITE_ROLES.includes(membership.role));
+};
 
-        const tasks = await prisma.task.findMany({
-            where: whereClause,
-            orderBy: orderByClause,
-            skip: skip,
-            take: limitNum,
-            // NUEVO: Incluir la información del usuario propietario de la tarea
-            include: {
-                user: {
-                    select: {
-                        id: true,
-                        email: true,
-                        role: true
-                    }
-                }
+// Devuelve la tarea si el usuario puede modificarla; si no, null.
+// Con `trashed` busca solo entre las tareas de la papelera.
+const findEditableTask = async (taskId, user, { trashed = false } = {}) => {
+    const task = await prisma.task.findUnique({
+        where: { id: taskId },
+        include: editableTaskInclude(user.userId)
+    });
+    if (!task || Boolean(task.deletedAt) !== trashed || !canEditTask(task, user)) {
+        return null;
+    }
+    return task;
+};
+
+// Rutas de Proyectos
+app.post('/api/projects', authenticateToken, validate(schemas.createProject), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, description, color } = req.body;
+        const newProject = await prisma.project.create({
+            data: {
+                name,
+                description,
+                color,
+                ownerId: userId,
+                members: { create: { userId, role: 'OWNER' } }
             }
         });
-
-        res.status(200).json({ tasks, totalCount, currentPage: pageNum, limit: limitNum, totalPages: Math.ceil(totalCount / limitNum) });
+        res.status(201).json(newProject);
     } catch (error) {
-        console.error('Error al obtener las tareas con filtros, ordenamiento y paginación:', error);
-        res.status(500).json({ error: 'No se pudieron obtener las tareas.', details: error.message });
+        console.error('Error al crear el proyecto:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Ya existe un proyecto con ese nombre.' });
+        }
+        res.status(500).json({ error: 'No se pudo crear el proyecto.', details: error.message });
     }
 });
 
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.get('/api/projects', authenticateToken, validate(schemas.listProjects), async (req, res) => {
     try {
-        const { id } = req.params;
         const { userId, role } = req.user;
-        const { proyecto, responsable, titulo, descripcion, fechaVencimiento, fechaTerminada, prioridad, isCompleted } = req.body;
-        const parsedFechaVencimiento = fechaVencimiento ? new Date(fechaVencimiento) : undefined;
-        const parsedFechaTerminada = fechaTerminada ? new Date(fechaTerminada) : null;
-        const taskWhereClause = { id: parseInt(id) };
+        const { includeArchived } = req.query;
+        const whereClause = {};
         if (role !== 'ADMIN') {
-            taskWhereClause.userId = userId;
+            whereClause.members = { some: { userId } };
         }
-        const updatedTask = await prisma.task.update({
-            where: taskWhereClause,
-            data: { proyecto, responsable, titulo, descripcion, fechaVencimiento: parsedFechaVencimiento, fechaTerminada: parsedFechaTerminada, prioridad, isCompleted }
-        });
-        if (!updatedTask) {
-            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        if (!includeArchived) {
+            whereClause.archived = false;
         }
-        res.status(200).json(updatedTask);
+        const projects = await prisma.project.findMany({
+            where: whereClause,
+            orderBy: { name: 'asc' },
+            include: {
+                members: { where: { userId }, select: { role: true } },
+                _count: { select: { tasks: { where: { deletedAt: null } }, members: true } }
+            }
+        });
+        res.status(200).json(projects);
     } catch (error) {
-        console.error('Error al actualizar la tarea:', error);
-        if (error.code === 'P2025') {
-            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
-        }
-        res.status(500).json({ error: 'No se pudo actualizar la tarea.', details: error.message });
+        console.error('Error al obtener los proyectos:', error);
+        res.status(500).json({ error: 'No se pudieron obtener los proyectos.', details: error.message });
     }
 });
 
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.get('/api/projects/:id', authenticateToken, validate(schemas.projectParams), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { userId, role } = req.user;
-        const taskWhereClause = { id: parseInt(id) };
-        if (role !== 'ADMIN') {
-            taskWhereClause.userId = userId;
+        const project = await findAccessibleProject(req.params.id, req.user);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para verlo.' });
         }
-        const deletedTask = await prisma.task.delete({
-            where: taskWhereClause,
+        const members = await prisma.projectMember.findMany({
+            where: { projectId: project.id },
+            include: { user: { select: { id: true, email: true } } },
+            orderBy: { createdAt: 'asc' }
         });
-        if (!deletedTask) {
-            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para eliminarla.' });
+        res.status(200).json({ ...project, members });
+    } catch (error) {
+        console.error('Error al obtener el proyecto:', error);
+        res.status(500).json({ error: 'No se pudo obtener el proyecto.', details: error.message });
+    }
+});
+
+app.put('/api/projects/:id', authenticateToken, validate(schemas.updateProject), async (req, res) => {
+    try {
+        const project = await findAccessibleProject(req.params.id, req.user, ['OWNER']);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para actualizarlo.' });
         }
-        res.status(204).send();
+        const { name, description, color, archived } = req.body;
+        const updatedProject = await prisma.$transaction(async (tx) => {
+            const updated = await tx.project.update({
+                where: { id: project.id },
+                data: { name, description, color, archived }
+            });
+            // Mantener sincronizada la etiqueta `proyecto` de las tareas al renombrar
+            if (name && name !== project.name) {
+                await updateTasksWithAudit(tx, { projectId: project.id }, { proyecto: name }, req.user.userId);
+            }
+            return updated;
+        }, { timeout: 30000 });
+        res.status(200).json(updatedProject);
     } catch (error) {
-        console.error('Error al eliminar la tarea:', error);
-        if (error.code === 'P2025') {
-            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para eliminarla.' });
+        console.error('Error al actualizar el proyecto:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Ya existe un proyecto con ese nombre.' });
         }
-        res.status(500).json({ error: 'No se pudo eliminar la tarea.', details: error.message });
+        res.status(500).json({ error: 'No se pudo actualizar el proyecto.', details: error.message });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Servidor de ZenMatrix API corriendo en http://localhost:${PORT}`);
-    console.log('✅ Conectado a la base de datos MySQL con Prisma.');
+app.delete('/api/projects/:id', authenticateToken, validate(schemas.projectParams), async (req, res) => {
+    try {
+        const project = await findAccessibleProject(req.params.id, req.user, ['OWNER']);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para eliminarlo.' });
+        }
+        // Las tareas del proyecto conservan su etiqueta `proyecto` y quedan sin projectId
+        await prisma.$transaction(async (tx) => {
+            await updateTasksWithAudit(tx, { projectId: project.id }, { projectId: null }, req.user.userId);
+            await tx.project.delete({ where: { id: project.id } });
+        }, { timeout: 30000 });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar el proyecto:', error);
+        res.status(500).json({ error: 'No se pudo eliminar el proyecto.', details: error.message });
+    }
+});
+
+// Devuelve la tarea si el usuario puede verla; si no, null
+const findVisibleTask = async (taskId, user) => {
+    return prisma.task.findFirst({ where: { AND: [{ id: taskId }, taskVisibilityWhere(user)] } });
+};
+
+// El vencimiento no puede caer en un día anterior al de inicio; se compara por día (UTC) para admitir fechas sin hora
+const DUE_BEFORE_START_ERROR = 'No puede ser anterior a la fecha de inicio.';
+const isDueBeforeStart = (fechaVencimiento, fechaInicio) => {
+    return Boolean(fechaVencimiento) && fechaVencimiento.toISOString().slice(0, 10) < fechaInicio.toISOString().slice(0, 10);
+};
+
+// Aplica `data` a la tarea en una transacción y registra el historial. Si la tarea pasa a completada y es
+// recurrente, la regla se traslada a la siguiente ocurrencia, que se crea en la misma transacción.
+// Con `expectedUpdatedAt` la escritura solo se aplica si nadie modificó la tarea entretanto (si no, lanza P2025).
+const updateTaskWithHistory = async (task, data, actorId, { expectedUpdatedAt } = {}) => {
+    const seriesId = task.recurrenceSeriesId || task.id;
+    const generatesNext = data.isCompleted === true && !task.isCompleted && Boolean(task.recurrenceRule);
+    if (generatesNext) {
+        data.recurrenceRule = null;
+        data.recurrenceSeriesId = seriesId;
+    }
+    return prisma.$transaction(async (tx) => {
+        const updatedTask = await tx.task.update({
+            where: { id: task.id, ...(expectedUpdatedAt && { updatedAt: expectedUpdatedAt }) },
+            data,
+            include: TASK_INCLUDE
+        });
+        await recordTaskAudit(tx, { action: 'UPDATE', actorId, before: task, after: updatedTask });
+        const nextTask = generatesNext ? await createNextOccurrence(tx, updatedTask, task.recurrenceRule, seriesId) : null;
+        if (nextTask) {
+            await recordTaskAudit(tx, { action: 'CREATE', actorId, after: nextTask });
+        }
+        return { updatedTask, nextTask };
+    });
+};
+
+// Añade a cada tarea el progreso de sus subtareas: total, completadas y porcentaje (null si no tiene)
+const attachSubtaskProgress = async (tasks) => {
+    if (tasks.length === 0) {
+        return tasks;
+    }
+    const counts = await prisma.task.groupBy({
+        by: ['parentId', 'isCompleted'],
+        where: { parentId: { in: tasks.map(task => task.id) }, deletedAt: null },
+        _count: { _all: true }
+    });
+    return tasks.map(task => {
+        const own = counts.filter(count => count.parentId === task.id);
+        const subtaskCount = own.reduce((sum, count) => sum + count._count._all, 0);
+        const completedSubtaskCount = own.filter(count => count.isCompleted).reduce((sum, count) => sum + count._count._all, 0);
+        return {
+            ...task,
+            subtaskCount,
+            completedSubtaskCount,
+            progress: subtaskCount > 0 ? Math.round((completedSubtaskCount / subtaskCount) * 100) : null
+        };
+    });
+};
+
+// Tareas abiertas que bloquean a la tarea indicada
+const findOpenBlockers = async (taskId) => {
+    const dependencies = await prisma.taskDependency.findMany({
+        where: { taskId, blocker: { isCompleted: false, deletedAt: null } },
+        include: { blocker: { select: { id: true, titulo: true } } }
+    });
+    return dependencies.map(dependency => dependency.blocker);
+};
+
+// Indica si añadir "taskId bloqueada por blockerId" crearía un ciclo, es decir,
+// si blockerId ya depende (directa o transitivamente) de taskId. Recorre el grafo por niveles.
+const createsDependencyCycle = async (taskId, blockerId) => {
+    if (taskId === blockerId) {
+        return true;
+    }
+    const visited = new Set([blockerId]);
+    let frontier = [blockerId];
+    while (frontier.length > 0) {
+        const dependencies = await prisma.taskDependency.findMany({
+            where: { taskId: { in: frontier } },
+            select: { blockerId: true }
+        });
+        frontier = [];
+        for (const { blockerId: nextId } of dependencies) {
+            if (nextId === taskId) {
+                return true;
+            }
+            if (!visited.has(nextId)) {
+                visited.add(nextId);
+                frontier.push(nextId);
+            }
+        }
+    }
+    return false;
+};
+
+// Valida una regla de recurrencia y la devuelve en forma canónica ({ value }); null la elimina
+const normalizeRecurrenceRule = (text, dueDate) => {
+    if (text === null) {
+        return { value: null };
+    }
+    const { rule, error } = parseRule(text);
+    if (error) {
+        return { error };
+    }
+    return { value: formatRule(anchorRule(rule, dueDate)) };
+};
+
+// Al completar una ocurrencia recurrente crea la siguiente, con el vencimiento desplazado según la regla.
+// Devuelve null si la serie terminó (UNTIL).
+const createNextOccurrence = async (tx, completedTask, ruleText, seriesId) => {
+    const { rule } = parseRule(ruleText);
+    const dueDate = nextOccurrence(rule, {
+        dueDate: completedTask.fechaVencimiento,
+        completedAt: completedTask.fechaTerminada || new Date()
+    });
+    if (!dueDate) {
+        return null;
+    }
+    return tx.task.create({
+        data: {
+            proyecto: completedTask.proyecto,
+            projectId: completedTask.projectId,
+            responsable: completedTask.responsable,
+            assigneeId: completedTask.assigneeId,
+            titulo: completedTask.titulo,
+            descripcion: completedTask.descripcion,
+            prioridad: completedTask.prioridad,
+            prioridadRank: completedTask.prioridadRank,
+            urgente: completedTask.urgente,
+            importante: completedTask.importante,
+            userId: completedTask.userId,
+            fechaVencimiento: dueDate,
+            recurrenceRule: ruleText,
+            recurrenceSeriesId: seriesId,
+            tags: { connect: completedTask.tags.map(tag => ({ id: tag.id })) }
+        },
+        include: TASK_INCLUDE
+    });
+};
+
+// Campos de la tarea cuyo historial se registra
+const AUDITED_TASK_FIELDS = ['userId', 'proyecto', 'projectId', 'responsable', 'assigneeId', 'titulo', 'descripcion', 'fechaVencimiento', 'fechaTerminada', 'prioridad', 'urgente', 'importante', 'isCompleted', 'parentId', 'recurrenceRule', 'deletedAt'];
+
+const toAuditValue = (value) => (value instanceof Date ? value.toISOString() : (value === undefined ? null : value));
+
+// Diferencia { campo: { from, to } } entre dos versiones de la tarea (null = no existía)
+const diffTask = (before, after) => {
+    const changes = {};
+    for (const field of AUDITED_TASK_FIELDS) {
+        const from = toAuditValue(before ? before[field] : null);
+        const to = toAuditValue(after ? after[field] : null);
+        if (from !== to) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+};
+
+// Registra una entrada de historial; `client` puede ser prisma o la transacción en curso.
+// Una actualización que pasa la tarea a completada se registra como COMPLETE.
+const recordTaskAudit = async (client, { action, actorId, before, after }) => {
+    const changes = diffTask(before, after);
+    if (action === 'UPDATE' && Object.keys(changes).length === 0) {
+        return null;
+    }
+    const resolvedAction = action === 'UPDATE' && changes.isCompleted && changes.isCompleted.to === true ? 'COMPLETE' : action;
+    const audit = await client.taskAudit.create({
+        data: { action: resolvedAction, taskId: (after || before).id, actorId, changes }
+    });
+    await notifyTaskChanges(client, { action: resolvedAction, actorId, task: after || before, changes });
+    return audit;
+};
+
+// Crea una notificación del tipo indicado para cada destinatario que no lo haya desactivado.
+// Nunca se notifica a quien provoca el evento. `client` puede ser prisma o la transacción en curso.
+const notifyUsers = async (client, type, { recipientIds, actorId = null, task, ...payload }) => {
+    const userIds = [...new Set(recipientIds.filter(userId => userId && userId !== actorId))];
+    if (userIds.length === 0) {
+        return;
+    }
+    const disabled = await client.notificationPreference.findMany({
+        where: { userId: { in: userIds }, type, enabled: false },
+        select: { userId: true }
+    });
+    const disabledIds = new Set(disabled.map(preference => preference.userId));
+    const recipients = userIds.filter(userId => !disabledIds.has(userId));
+    if (recipients.length === 0) {
+        return;
+    }
+    const actor = actorId ? await client.user.findUnique({ where: { id: actorId }, select: { email: true } }) : null;
+    const { title, body } = describeEvent(type, { actorEmail: actor ? actor.email : null, task, ...payload });
+    await client.notification.createMany({
+        data: recipients.map(userId => ({ type, title, body, userId, actorId, taskId: task ? task.id : null }))
+    });
+};
+
+// Aplica `data` a todas las tareas que cumplen `where` y registra una entrada UPDATE por cada una
+const updateTasksWithAudit = async (client, where, data, actorId) => {
+    const tasks = await client.task.findMany({ where });
+    await client.task.updateMany({ where: { id: { in: tasks.map(task => task.id) } }, data });
+    for (const task of tasks) {
+        await recordTaskAudit(client, { action: 'UPDATE', actorId, before: task, after: { ...task, ...data } });
+    }
+    return tasks.length;
+};
+
+// Notificaciones derivadas de cada cambio auditado: al creador y al asignado de la tarea
+const notifyTaskChanges = async (client, { action, actorId, task, changes }) => {
+    const owners = [task.userId, task.assigneeId];
+    if (changes.assigneeId && changes.assigneeId.to) {
+        await notifyUsers(client, 'TASK_ASSIGNED', { recipientIds: [changes.assigneeId.to], actorId, task });
+    }
+    if (action === 'COMPLETE') {
+        await notifyUsers(client, 'TASK_COMPLETED', { recipientIds: owners, actorId, task });
+    } else if (action === 'UPDATE') {
+        const fields = Object.keys(changes).filter(field => field !== 'assigneeId');
+        if (fields.length > 0) {
+            await notifyUsers(client, 'TASK_UPDATED', { recipientIds: owners, actorId, task, fields });
+        }
+    }
+};
+
+// Mismo error para un usuario inexistente que para uno no permitido, para no revelar qué ids existen
+const ASSIGNEE_NOT_ALLOWED_ERROR = 'El usuario asignado no existe o no se le puede asignar esta tarea.';
+
+// Se puede asignar a uno mismo o a un miembro del proyecto de la tarea; el ADMIN puede asignar a cualquiera
+const isAllowedAssignee = (assignee, { userId, role }, projectId) => {
+    if (!assignee) {
+        return false;
+    }
+    return role === 'ADMIN' || assignee.id === userId || Boolean(projectId && assignee.memberships.some(membership => membership.projectId === projectId));
+};
+
+// Devuelve el usuario si puede ser asignado a una tarea del proyecto `projectId`; si no, null
+const findAllowedAssignee = async (assigneeId, user, projectId) => {
+    const assignee = await prisma.user.findUnique({
+        where: { id: assigneeId },
+        include: { memberships: { select: { projectId: true } } }
+    });
+    return isAllowedAssignee(assignee, user, projectId) ? assignee : null;
+};
+
+// Rutas de Miembros de Proyecto
+app.get('/api/projects/:id/members', authenticateToken, validate(schemas.projectParams), async (req, res) => {
+    try {
+        const project = await findAccessibleProject(req.params.id, req.user);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para verlo.' });
+        }
+        const members = await prisma.projectMember.findMany({
+            where: { projectId: project.id },
+            include: { user: { select: { id: true, email: true } } },
+            orderBy: { createdAt: 'asc' }
+        });
+        res.status(200).json(members);
+    } catch (error) {
+        console.error('Error al obtener los miembros del proyecto:', error);
+        res.status(500).json({ error: 'No se pudieron obtener los miembros.', details: error.message });
+    }
+});
+
+app.post('/api/projects/:id/members', authenticateToken, validate(schemas.addMember), async (req, res) => {
+    try {
+        const project = await findAccessibleProject(req.params.id, req.user, ['OWNER']);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para invitar miembros.' });
+        }
+        const { email, role } = req.body;
+        const invitedUser = await prisma.user.findUnique({ where: { email } });
+        if (!invitedUser) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        const newMember = await prisma.projectMember.create({
+            data: { projectId: project.id, userId: invitedUser.id, role },
+            include: { user: { select: { id: true, email: true } } }
+        });
+        res.status(201).json(newMember);
+    } catch (error) {
+        console.error('Error al invitar al miembro:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'El usuario ya es miembro del proyecto.' });
+        }
+        res.status(500).json({ error: 'No se pudo invitar al miembro.', details: error.message });
+    }
+});
+
+app.put('/api/projects/:id/members/:userId', authenticateToken, validate(schemas.updateMember), async (req, res) => {
+    try {
+        const project = await findAccessibleProject(req.params.id, req.user, ['OWNER']);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para gestionar miembros.' });
+        }
+        const { role } = req.body;
+        const memberWhere = { projectId_userId: { projectId: project.id, userId: req.params.userId } };
+        const member = await prisma.projectMember.findUnique({ where: memberWhere });
+        if (!member) {
+            return res.status(404).json({ error: 'El usuario no es miembro del proyecto.' });
+        }
+        if (member.role === 'OWNER' && role !== 'OWNER') {
+            const ownerCount = await prisma.projectMember.count({ where: { projectId: project.id, role: 'OWNER' } });
+            if (ownerCount <= 1) {
+                return res.status(409).json({ error: 'El proyecto debe tener al menos un propietario.' });
+            }
+        }
+        const updatedMember = await prisma.projectMember.update({
+            where: memberWhere,
+            data: { role },
+            include: { user: { select: { id: true, email: true } } }
+        });
+        res.status(200).json(updatedMember);
+    } catch (error) {
+        console.error('Error al actualizar el miembro:', error);
+        res.status(500).json({ error: 'No se pudo actualizar el miembro.', details: error.message });
+    }
+});
+
+app.delete('/api/projects/:id/members/:userId', authenticateToken, validate(schemas.memberParams), async (req, res) => {
+    try {
+        const memberUserId = req.params.userId;
+        // Un miembro siempre puede abandonar el proyecto; para expulsar a otros hay que ser OWNER
+        const allowedRoles = memberUserId === req.user.userId ? PROJECT_ROLES : ['OWNER'];
+        const project = await findAccessibleProject(req.params.id, req.user, allowedRoles);
+        if (!project) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para gestionar miembros.' });
+        }
+        const memberWhere = { projectId_userId: { projectId: project.id, userId: memberUserId } };
+        const member = await prisma.projectMember.findUnique({ where: memberWhere });
+        if (!member) {
+            return res.status(404).json({ error: 'El usuario no es miembro del proyecto.' });
+        }
+        if (member.role === 'OWNER') {
+            const ownerCount = await prisma.projectMember.count({ where: { projectId: project.id, role: 'OWNER' } });
+            if (ownerCount <= 1) {
+                return res.status(409).json({ error: 'El proyecto debe tener al menos un propietario.' });
+            }
+        }
+        await prisma.projectMember.delete({ where: memberWhere });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar el miembro:', error);
+        res.status(500).json({ error: 'No se pudo eliminar el miembro.', details: error.message });
+    }
+});
+
+// Filtro de etiquetas visibles: las personales y las de los proyectos de los que el usuario es miembro (ADMIN ve todas)
+const tagVisibilityWhere = ({ userId, role }) => {
+    if (role === 'ADMIN') {
+        return {};
+    }
+    return {
+        OR: [
+            { userId },
+            { project: { members: { some: { userId } } } },
+        ]
+    };
+};
+
+// Devuelve la etiqueta si el usuario puede gestionarla (dueño, OWNER/EDITOR del proyecto o ADMIN); si no, null
+const findEditableTag = async (tagId, user) => {
+    const tag = await prisma.tag.findUnique({ where: { id: tagId } });
+    if (!tag) {
+        return null;
+    }
+    if (user.role === 'ADMIN' || tag.userId === user.userId) {
+        return tag;
+    }
+    if (tag.projectId && await findAccessibleProject(tag.projectId, user, PROJECT_WRITE_ROLES)) {
+        return tag;
+    }
+    return null;
+};
+
+// Comprueba que todas las etiquetas existan, sean visibles para el usuario y puedan usarse en una tarea del
+// proyecto `projectId`: las del propio proyecto o las personales del usuario (nunca las personales de otro)
+const areTagsAccessible = async (tagIds, user, projectId) => {
+    const uniqueIds = [...new Set(tagIds)];
+    const scope = { OR: [{ userId: user.userId }, ...(projectId ? [{ projectId }] : [])] };
+    const count = await prisma.tag.count({ where: { AND: [{ id: { in: uniqueIds } }, tagVisibilityWhere(user), scope] } });
+    return count === uniqueIds.length;
+};
+
+// Etiquetas de otros proyectos unidas a las tareas indicadas: al mover una tarea a `projectId` (o sacarla de todo
+// proyecto) se desvinculan, porque las verían los miembros del proyecto nuevo. Las personales se conservan.
+const findTagsOutsideProject = async (taskIds, projectId) => {
+    return prisma.tag.findMany({
+        where: { tasks: { some: { id: { in: taskIds } } }, projectId: projectId ? { not: null, notIn: [projectId] } : { not: null } },
+        select: { id: true, tasks: { where: { id: { in: taskIds } }, select: { id: true } } }
+    });
+};
+
+// Rutas de Etiquetas
+app.get('/api/tags', authenticateToken, validate(schemas.listTags), async (req, res) => {
+    try {
+        const { projectId } = req.query;
+        const whereClause = { AND: [tagVisibilityWhere(req.user)] };
+        if (projectId) {
+            whereClause.projectId = projectId;
+        }
+        const tags = await prisma.tag.findMany({
+            where: whereClause,
+            orderBy: { name: 'asc' },
+            include: { _count: { select: { tasks: { where: { deletedAt: null } } } } }
+        });
+        res.status(200).json(tags.map(({ _count, ...tag }) => ({ ...tag, usageCount: _count.tasks })));
+    } catch (error) {
+        console.error('Error al obtener las etiquetas:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las etiquetas.', details: error.message });
+    }
+});
+
+// Sin projectId la etiqueta es personal; con projectId se comparte con los miembros del proyecto
+app.post('/api/tags', authenticateToken, validate(schemas.createTag), async (req, res) => {
+    try {
+        const { name, color, projectId } = req.body;
+        if (projectId && !(await findAccessibleProject(projectId, req.user, PROJECT_WRITE_ROLES))) {
+            return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para usarlo.' });
+        }
+        const newTag = await prisma.tag.create({
+            data: { name, color, projectId, userId: projectId ? undefined : req.user.userId }
+        });
+        res.status(201).json(newTag);
+    } catch (error) {
+        console.error('Error al crear la etiqueta:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Ya existe una etiqueta con ese nombre.' });
+        }
+        res.status(500).json({ error: 'No se pudo crear la etiqueta.', details: error.message });
+    }
+});
+
+app.put('/api/tags/:id', authenticateToken, validate(schemas.updateTag), async (req, res) => {
+    try {
+        const tag = await findEditableTag(req.params.id, req.user);
+        if (!tag) {
+            return res.status(404).json({ error: 'Etiqueta no encontrada o no tienes permiso para actualizarla.' });
+        }
+        const { name, color } = req.body;
+        const updatedTag = await prisma.tag.update({ where: { id: tag.id }, data: { name, color } });
+        res.status(200).json(updatedTag);
+    } catch (error) {
+        console.error('Error al actualizar la etiqueta:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Ya existe una etiqueta con ese nombre.' });
+        }
+        res.status(500).json({ error: 'No se pudo actualizar la etiqueta.', details: error.message });
+    }
+});
+
+app.delete('/api/tags/:id', authenticateToken, validate(schemas.tagParams), async (req, res) => {
+    try {
+        const tag = await findEditableTag(req.params.id, req.user);
+        if (!tag) {
+            return res.status(404).json({ error: 'Etiqueta no encontrada o no tienes permiso para eliminarla.' });
+        }
+        await prisma.tag.delete({ where: { id: tag.id } });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar la etiqueta:', error);
+        res.status(500).json({ error: 'No se pudo eliminar la etiqueta.', details: error.message });
+    }
+});
+
+// Rutas de Tareas Protegidas y con Lógica de Rol
+app.post('/api/tasks', authenticateToken, validate(schemas.createTask), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { proyecto, projectId, responsable, assigneeId, titulo, descripcion, fechaVencimiento, prioridad, urgente, importante, recurrenceRule, tagIds } = req.body;
+        if (!(proyecto || projectId) || !(responsable || assigneeId)) {
+            return res.status(400).json({
+                error: 'Datos de entrada inválidos.',
+                fields: {
+                    ...(!(proyecto || projectId) && { proyecto: 'Indica proyecto o projectId.' }),
+                    ...(!(responsable || assigneeId) && { responsable: 'Indica responsable o assigneeId.' })
+                }
+            });
+        }
+        if (isDueBeforeStart(fechaVencimiento, new Date())) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { fechaVencimiento: DUE_BEFORE_START_ERROR } });
+        }
+        if (tagIds && !(await areTagsAccessible(tagIds, req.user, projectId))) {
+            return res.status(400).json({ error: 'Alguna de las etiquetas no existe o no tienes acceso a ella.' });
+        }
+        const recurrence = recurrenceRule === undefined ? { value: undefined } : normalizeRecurrenceRule(recurrenceRule, fechaVencimiento);
+        if (recurrence.error) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { recurrenceRule: recurrence.error } });
+        }
+        let projectName = proyecto;
+        if (projectId) {
+            const project = await findAccessibleProject(projectId, req.user, PROJECT_WRITE_ROLES);
+            if (!project) {
+                return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para usarlo.' });
+            }
+            projectName = project.name;
+        }
+        // `responsable` queda como etiqueta libre para personas externas; si no se indica, se usa el email del asignado
+        let responsableLabel = responsable;
+        if (assigneeId) {
+            const assignee = await findAllowedAssignee(assigneeId, req.user, projectId);
+            if (!assignee) {
+                return res.status(400).json({ error: ASSIGNEE_NOT_ALLOWED_ERROR });
+            }
+            responsableLabel = responsable || assignee.email;
+        }
+        const newTask = await prisma.$transaction(async (tx) => {
+            const createdTask = await tx.task.create({
+                data: { proyecto: projectName, projectId, responsable: responsableLabel, assigneeId, titulo, descripcion, fechaVencimiento, prioridad, prioridadRank: priorityRank(prioridad), urgente, importante, recurrenceRule: recurrence.value, userId: userId, tags: tagIds ? { connect: tagIds.map(tagId => ({ id: tagId })) } : undefined },
+                include: TASK_INCLUDE
+            });
+            await recordTaskAudit(tx, { action: 'CREATE', actorId: userId, after: createdTask });
+            return createdTask;
+        });
+        res.status(201).json(newTask);
+    } catch (error) {
+        console.error('Error al crear la tarea:', error);
+        res.status(500).json({ error: 'No se pudo crear la tarea.', details: error.message });
+    }
+});
+
+// Construye el filtro de GET /api/tasks (también lo usa la edición masiva) a partir de los query params ya validados
+const buildTaskFilterWhere = (filters, user) => {
+    const { search, priority, isCompleted, blocked, proyecto, projectId, assignee, assignedToMe, tags, tagsMode, excludeSubtasks } = filters;
+    const whereClause = { AND: [taskVisibilityWhere(user)] };
+
+    if (search) {
+        whereClause.OR = [
+            { titulo: { contains: search } },
+            { descripcion: { contains: search } },
+        ];
+    }
+    if (priority) {
+        whereClause.prioridad = priority;
+    }
+    if (isCompleted !== undefined) {
+        whereClause.isCompleted = isCompleted;
+    }
+    // Bloqueada = tiene al menos una tarea bloqueante sin completar
+    if (blocked === true) {
+        whereClause.blockedBy = { some: { blocker: { isCompleted: false, deletedAt: null } } };
+    } else if (blocked === false) {
+        whereClause.blockedBy = { none: { blocker: { isCompleted: false, deletedAt: null } } };
+    }
+    if (proyecto) {
+        whereClause.proyecto = { contains: proyecto };
+    }
+    if (projectId) {
+        whereClause.projectId = projectId;
+    }
+    if (assignedToMe) {
+        whereClause.assigneeId = user.userId;
+    } else if (assignee) {
+        whereClause.assigneeId = assignee;
+    }
+    if (excludeSubtasks) {
+        whereClause.parentId = null;
+    }
+    // tags=a,b: con tagsMode=any basta una de las etiquetas; con tagsMode=all deben estar todas
+    if (tags) {
+        if (tagsMode === 'all') {
+            whereClause.AND.push(...tags.map(name => ({ tags: { some: { name } } })));
+        } else {
+            whereClause.tags = { some: { name: { in: tags } } };
+        }
+    }
+    return whereClause;
+};
+
+app.get('/api/tasks', authenticateToken, validate(schemas.listTasks), async (req, res) => {
+    try {
+        const { sort, sortBy, sortDirection, page, limit, pagination, cursor, includeTotal } = req.query;
+
+        const whereClause = buildTaskFilterWhere(req.query, req.user);
+
+        const { orderBy: orderByClause, fields: sortFields, error: sortError } = parseTaskSort({ sort, sortBy, sortDirection });
+        if (sortError) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { sort: sortError } });
+        }
+        const nullableSortField = sortFields.find(field => NULLABLE_SORT_FIELDS.includes(field));
+        if ((pagination === 'cursor' || cursor) && nullableSortField) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { sort: `La paginación por cursor no admite ordenar por ${nullableSortField}; usa pagination=offset.` } });
+        }
+
+        const now = new Date();
+        const decorateTasks = async (tasks) => {
+            const withProgress = await attachSubtaskProgress(tasks);
+            return withProgress.map(task => ({ ...task, cuadrante: getTaskQuadrant(task, now) }));
+        };
+
+        // Paginación por cursor (opcional): estable aunque se creen tareas entre páginas y sin `count` salvo que se pida
+        if (pagination === 'cursor' || cursor) {
+            const decodedCursor = cursor ? decodeCursor(cursor) : null;
+            if (cursor && !decodedCursor) {
+                return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { cursor: 'Cursor inválido.' } });
+            }
+            const isPrev = decodedCursor && decodedCursor.direction === 'prev';
+            // Se pide un elemento de más para saber si hay otra página en esa dirección
+            const rows = await prisma.task.findMany({
+                where: whereClause,
+                orderBy: orderByClause,
+                ...(decodedCursor && { cursor: { id: decodedCursor.id }, skip: 1 }),
+                take: isPrev ? -(limit + 1) : limit + 1,
+                include: TASK_INCLUDE
+            });
+            const hasMore = rows.length > limit;
+            const tasks = hasMore ? (isPrev ? rows.slice(1) : rows.slice(0, limit)) : rows;
+            const first = tasks[0];
+            const last = tasks[tasks.length - 1];
+            const hasNext = isPrev ? Boolean(decodedCursor) : hasMore;
+            const hasPrev = isPrev ? hasMore : Boolean(decodedCursor);
+
+            const response = {
+                tasks: await decorateTasks(tasks),
+                limit,
+                nextCursor: hasNext && last ? encodeCursor(last.id, 'next') : null,
+                prevCursor: hasPrev && first ? encodeCursor(first.id, 'prev') : null
+            };
+            if (includeTotal === true) {
+                response.totalCount = await prisma.task.count({ where: whereClause });
+            }
+            return res.status(200).json(response);
+        }
+
+        const pageNum = page;
+        const limitNum = limit;
+        const skip = (pageNum - 1) * limitNum;
+
+        const tasks = await prisma.task.findMany({
+            where: whereClause,
+            orderBy: orderByClause,
+            skip: skip,
+            take: limitNum,
+            // Incluir la información del usuario propietario y del proyecto de la tarea
+            include: TASK_INCLUDE
+        });
+
+        const response = { tasks: await decorateTasks(tasks), currentPage: pageNum, limit: limitNum };
+        if (includeTotal !== false) {
+            const totalCount = await prisma.task.count({ where: whereClause });
+            response.totalCount = totalCount;
+            response.totalPages = Math.ceil(totalCount / limitNum);
+        }
+        res.status(200).json(response);
+    } catch (error) {
+        console.error('Error al obtener las tareas con filtros, ordenamiento y paginación:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las tareas.', details: error.message });
+    }
+});
+
+// Exportación e importación de tareas (CSV o JSON)
+const EXPORT_BATCH_SIZE = 500;
+const IMPORT_MAX_ROWS = 1000;
+const EXPORT_COLUMNS = ['id', 'proyecto', 'projectId', 'responsable', 'assigneeId', 'titulo', 'descripcion', 'fechaInicio', 'fechaVencimiento', 'fechaTerminada', 'prioridad', 'urgente', 'importante', 'isCompleted', 'tags'];
+
+// Registro plano de una tarea para exportar; las etiquetas van por nombre
+const toExportRecord = (task) => {
+    const record = {};
+    for (const column of EXPORT_COLUMNS) {
+        record[column] = column === 'tags' ? task.tags.map(tag => tag.name) : task[column];
+    }
+    return record;
+};
+
+// Escribe respetando la contrapresión del socket
+const writeChunk = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await once(res, 'drain');
+    }
+};
+
+// Recorre por lotes (paginación por id) las tareas que cumplen el filtro, sin cargarlas todas en memoria
+async function* iterateTasks(whereClause) {
+    let lastId = 0;
+    while (true) {
+        const batch = await prisma.task.findMany({
+            where: { AND: [whereClause, { id: { gt: lastId } }] },
+            orderBy: { id: 'asc' },
+            take: EXPORT_BATCH_SIZE,
+            include: TASK_INCLUDE
+        });
+        yield* batch;
+        if (batch.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+        lastId = batch[batch.length - 1].id;
+    }
+}
+
+app.get('/api/tasks/export', authenticateToken, validate(schemas.exportTasks), async (req, res) => {
+    try {
+        const { format } = req.query;
+        const whereClause = buildTaskFilterWhere(req.query, req.user);
+        const fileName = `zenmatrix-tareas-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.status(200);
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'csv') {
+            await writeChunk(res, formatCsvRow(EXPORT_COLUMNS));
+            for await (const task of iterateTasks(whereClause)) {
+                const record = toExportRecord(task);
+                await writeChunk(res, formatCsvRow(EXPORT_COLUMNS.map(column => (column === 'tags' ? record.tags.join(';') : record[column]))));
+            }
+        } else {
+            let separator = '[\n';
+            for await (const task of iterateTasks(whereClause)) {
+                await writeChunk(res, separator + JSON.stringify(toExportRecord(task)));
+                separator = ',\n';
+            }
+            await writeChunk(res, separator === '[\n' ? '[]' : '\n]');
+        }
+        res.end();
+    } catch (error) {
+        console.error('Error al exportar las tareas:', error);
+        // Si ya se envió parte del archivo solo queda cortar la respuesta
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: 'No se pudieron exportar las tareas.', details: error.message });
+    }
+});
+
+// Filas a importar como objetos { columna: valor }. CSV con cabecera (text/csv) o JSON: una lista de objetos,
+// por ejemplo la que genera la exportación. Devuelve { rows, source } o { error }.
+const readImportRows = (req) => {
+    if (req.is('text/csv')) {
+        if (typeof req.body !== 'string') {
+            return { error: 'El archivo CSV está vacío.' };
+        }
+        const { rows, error } = parseCsv(req.body);
+        if (error) {
+            return { error };
+        }
+        if (rows.length === 0) {
+            return { error: 'El archivo CSV está vacío.' };
+        }
+        const header = rows[0].map(column => column.trim());
+        const missing = Object.keys(schemas.importTaskRow).filter(field => schemas.importTaskRow[field].required && !header.includes(field));
+        if (missing.length > 0) {
+            return { error: `Faltan columnas obligatorias: ${missing.join(', ')}.` };
+        }
+        const records = rows.slice(1).map(values => Object.fromEntries(header.map((column, index) => [column, values[index]])));
+        // En CSV una celda vacía equivale a no indicar el valor
+        return { rows: records, source: 'query' };
+    }
+    if (!Array.isArray(req.body)) {
+        return { error: 'Envía un CSV (Content-Type: text/csv) o una lista JSON de tareas.' };
+    }
+    return { rows: req.body, source: 'body' };
+};
+
+app.post('/api/tasks/import', authenticateToken, validate(schemas.importTasks), async (req, res) => {
+    try {
+        const { dryRun } = req.query;
+        const { rows, source, error } = readImportRows(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (rows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `El archivo tiene más de ${IMPORT_MAX_ROWS} filas.` });
+        }
+        const errors = [];
+        const valid = [];
+        rows.forEach((row, index) => {
+            if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+                errors.push({ row: index + 1, fields: { _: 'La fila debe ser un objeto.' } });
+                return;
+            }
+            const { values, errors: fieldErrors } = validateSource(row, schemas.importTaskRow, source);
+            // Las tareas importadas pueden estar vencidas: solo se compara con la fecha de inicio si viene en la fila
+            if (!fieldErrors.fechaVencimiento && values.fechaInicio && isDueBeforeStart(values.fechaVencimiento, values.fechaInicio)) {
+                fieldErrors.fechaVencimiento = DUE_BEFORE_START_ERROR;
+            }
+            if (Object.keys(fieldErrors).length > 0) {
+                errors.push({ row: index + 1, fields: fieldErrors });
+            } else {
+                valid.push({ row: index + 1, values });
+            }
+        });
+
+        let createdIds = [];
+        if (!dryRun && valid.length > 0) {
+            createdIds = await prisma.$transaction(async (tx) => {
+                const ids = [];
+                for (const { values } of valid) {
+                    const createdTask = await tx.task.create({
+                        data: { ...values, prioridadRank: priorityRank(values.prioridad), userId: req.user.userId }
+                    });
+                    await recordTaskAudit(tx, { action: 'CREATE', actorId: req.user.userId, after: createdTask });
+                    ids.push(createdTask.id);
+                }
+                return ids;
+            }, { timeout: 60000 });
+        }
+        res.status(dryRun ? 200 : 201).json({
+            dryRun,
+            total: rows.length,
+            valid: valid.length,
+            imported: createdIds.length,
+            failed: errors.length,
+            createdIds,
+            errors
+        });
+    } catch (error) {
+        console.error('Error al importar las tareas:', error);
+        res.status(500).json({ error: 'No se pudieron importar las tareas.', details: error.message });
+    }
+});
+
+// Papelera: tareas borradas que el usuario puede ver. Las subtareas borradas junto con su padre van dentro de él.
+app.get('/api/tasks/trash', authenticateToken, validate(schemas.listTrash), async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        const whereClause = {
+            AND: [
+                taskVisibilityWhere(req.user, { trashed: true }),
+                { OR: [{ parentId: null }, { parent: { deletedAt: null } }] }
+            ]
+        };
+        const { items: tasks, pagination } = await paginate(prisma.task, {
+            where: whereClause,
+            orderBy: [{ deletedAt: 'desc' }, { id: 'desc' }],
+            include: TASK_INCLUDE
+        }, { page, limit });
+        res.status(200).json({
+            tasks: tasks.map(task => ({ ...task, purgeAt: trashPurgeDate(task.deletedAt) })),
+            ...pagination,
+            retentionDays: TRASH_RETENTION_DAYS
+        });
+    } catch (error) {
+        console.error('Error al obtener la papelera:', error);
+        res.status(500).json({ error: 'No se pudo obtener la papelera.', details: error.message });
+    }
+});
+
+// Matriz de Eisenhower: tareas del usuario agrupadas por cuadrante
+app.get('/api/matrix', authenticateToken, validate(schemas.matrix), async (req, res) => {
+    try {
+        const { proyecto, projectId, includeCompleted } = req.query;
+
+        const whereClause = { AND: [taskVisibilityWhere(req.user)] };
+        if (!includeCompleted) {
+            whereClause.isCompleted = false;
+        }
+        if (proyecto) {
+            whereClause.proyecto = { contains: proyecto };
+        }
+        if (projectId) {
+            whereClause.projectId = projectId;
+        }
+
+        const tasks = await prisma.task.findMany({
+            where: whereClause,
+            orderBy: [{ fechaVencimiento: 'asc' }, { createdAt: 'desc' }],
+            include: TASK_INCLUDE
+        });
+
+        const now = new Date();
+        const quadrants = {};
+        for (const quadrant of QUADRANTS) {
+            quadrants[quadrant] = { count: 0, tasks: [] };
+        }
+        for (const task of tasks) {
+            const quadrant = getTaskQuadrant(task, now);
+            quadrants[quadrant].tasks.push({ ...task, cuadrante: quadrant });
+            quadrants[quadrant].count++;
+        }
+
+        res.status(200).json({ quadrants, totalCount: tasks.length });
+    } catch (error) {
+        console.error('Error al obtener la matriz de Eisenhower:', error);
+        res.status(500).json({ error: 'No se pudo obtener la matriz.', details: error.message });
+    }
+});
+
+// Rutas de Estadísticas
+const STATS_DEFAULT_RANGE_DAYS = 30;
+const STATS_MAX_BUCKETS = 366;
+
+// Mismo alcance que taskVisibilityWhere, en SQL para las agregaciones que Prisma no expresa (fechas, diferencias entre columnas)
+const taskScopeSql = ({ userId, role }, projectId) => {
+    const conditions = [Prisma.sql`t.deletedAt IS NULL`];
+    if (role !== 'ADMIN') {
+        conditions.push(Prisma.sql`(t.userId = ${userId} OR t.assigneeId = ${userId} OR t.projectId IN (SELECT pm.projectId FROM \`ProjectMember\` pm WHERE pm.userId = ${userId}))`);
+    }
+    if (projectId) {
+        conditions.push(Prisma.sql`t.projectId = ${projectId}`);
+    }
+    return Prisma.join(conditions, ' AND ');
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Lunes (UTC) de la semana de la fecha, igual que el agrupado semanal en SQL
+const startOfIsoWeek = (date) => {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day;
+};
+
+// Claves de todos los periodos del rango, para devolver también los que no tienen tareas completadas
+const periodKeys = (from, to, granularity) => {
+    const keys = [];
+    const cursor = granularity === 'week' ? startOfIsoWeek(from) : new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    while (cursor <= to && keys.length <= STATS_MAX_BUCKETS) {
+        keys.push(toDateKey(cursor));
+        cursor.setUTCDate(cursor.getUTCDate() + (granularity === 'week' ? 7 : 1));
+    }
+    return keys;
+};
+
+app.get('/api/stats', authenticateToken, validate(schemas.stats), async (req, res) => {
+    try {
+        const { projectId, granularity } = req.query;
+        const to = req.query.to || new Date();
+        const from = req.query.from || new Date(to.getTime() - STATS_DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+        if (from > to) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { from: 'Debe ser anterior a to.' } });
+        }
+        const keys = periodKeys(from, to, granularity);
+        if (keys.length > STATS_MAX_BUCKETS) {
+            return res.status(400).json({ error: `El rango no puede tener más de ${STATS_MAX_BUCKETS} periodos; usa granularity=week o acórtalo.` });
+        }
+
+        const now = new Date();
+        const whereClause = { AND: [taskVisibilityWhere(req.user)] };
+        if (projectId) {
+            whereClause.projectId = projectId;
+        }
+        const overdueWhere = { ...whereClause, isCompleted: false, fechaVencimiento: { lt: now } };
+        const scope = taskScopeSql(req.user, projectId);
+        const periodSql = granularity === 'week'
+            ? Prisma.sql`DATE_SUB(DATE(t.fechaTerminada), INTERVAL WEEKDAY(t.fechaTerminada) DAY)`
+            : Prisma.sql`DATE(t.fechaTerminada)`;
+
+        const [byPriorityCounts, byPriorityOverdue, byProjectCounts, byProjectOverdue, series, [completion]] = await Promise.all([
+            prisma.task.groupBy({ by: ['prioridad', 'isCompleted'], where: whereClause, _count: { _all: true } }),
+            prisma.task.groupBy({ by: ['prioridad'], where: overdueWhere, _count: { _all: true } }),
+            prisma.task.groupBy({ by: ['projectId', 'proyecto', 'isCompleted'], where: whereClause, _count: { _all: true } }),
+            prisma.task.groupBy({ by: ['projectId', 'proyecto'], where: overdueWhere, _count: { _all: true } }),
+            prisma.$queryRaw`
+                SELECT ${periodSql} AS period, COUNT(*) AS count
+                FROM \`Task\` t
+                WHERE ${scope} AND t.isCompleted = true AND t.fechaTerminada BETWEEN ${from} AND ${to}
+                GROUP BY period`,
+            prisma.$queryRaw`
+                SELECT
+                    COUNT(*) AS completed,
+                    AVG(TIMESTAMPDIFF(SECOND, t.fechaInicio, t.fechaTerminada)) AS averageLeadTimeSeconds,
+                    SUM(t.fechaVencimiento IS NOT NULL) AS withDueDate,
+                    SUM(t.fechaVencimiento IS NOT NULL AND t.fechaTerminada <= t.fechaVencimiento) AS onTime
+                FROM \`Task\` t
+                WHERE ${scope} AND t.isCompleted = true AND t.fechaTerminada BETWEEN ${from} AND ${to}`
+        ]);
+
+        // Une los recuentos por estado y los vencidos en una fila por clave
+        const summarize = (counts, overdue, keyOf, describe) => {
+            const rows = new Map();
+            const rowFor = (group) => {
+                const key = keyOf(group);
+                if (!rows.has(key)) {
+                    rows.set(key, { ...describe(group), open: 0, completed: 0, overdue: 0 });
+                }
+                return rows.get(key);
+            };
+            for (const group of counts) {
+                rowFor(group)[group.isCompleted ? 'completed' : 'open'] += group._count._all;
+            }
+            for (const group of overdue) {
+                rowFor(group).overdue += group._count._all;
+            }
+            return [...rows.values()];
+        };
+        const byPriority = summarize(byPriorityCounts, byPriorityOverdue, group => group.prioridad, group => ({ prioridad: group.prioridad }))
+            .sort((a, b) => priorityRank(b.prioridad) - priorityRank(a.prioridad));
+        // Las tareas sin projectId se agrupan por su etiqueta libre `proyecto`
+        const byProject = summarize(byProjectCounts, byProjectOverdue, group => group.projectId || `label:${group.proyecto}`, group => ({ projectId: group.projectId, name: group.proyecto }))
+            .sort((a, b) => (b.open + b.completed) - (a.open + a.completed));
+
+        const seriesCounts = new Map(series.map(row => [toDateKey(new Date(row.period)), Number(row.count)]));
+        const withDueDate = Number(completion.withDueDate || 0);
+        const onTime = Number(completion.onTime || 0);
+        const averageLeadTimeSeconds = completion.averageLeadTimeSeconds === null ? null : Number(completion.averageLeadTimeSeconds);
+
+        res.status(200).json({
+            scope: req.user.role === 'ADMIN' ? 'all' : 'visible',
+            range: { from, to, granularity },
+            totals: {
+                open: byPriority.reduce((sum, row) => sum + row.open, 0),
+                completed: byPriority.reduce((sum, row) => sum + row.completed, 0),
+                overdue: byPriority.reduce((sum, row) => sum + row.overdue, 0)
+            },
+            byPriority,
+            byProject,
+            // Lo que sigue se limita a las tareas completadas dentro del rango (fechas en UTC)
+            completedSeries: keys.map(period => ({ period, count: seriesCounts.get(period) || 0 })),
+            completedInRange: Number(completion.completed),
+            averageLeadTimeHours: averageLeadTimeSeconds === null ? null : Math.round((averageLeadTimeSeconds / 3600) * 10) / 10,
+            onTimeCompletion: {
+                withDueDate,
+                onTime,
+                rate: withDueDate > 0 ? Math.round((onTime / withDueDate) * 1000) / 1000 : null
+            }
+        });
+    } catch (error) {
+        console.error('Error al obtener las estadísticas:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las estadísticas.', details: error.message });
+    }
+});
+
+// Reglas de coherencia entre isCompleted y fechaTerminada: una tarea completada siempre tiene fecha de terminación
+// (no futura) y una abierta nunca la tiene. Devuelve el mensaje de error o null.
+const completionDateError = (fechaTerminada, completed, now = new Date()) => {
+    if (fechaTerminada === null && completed) {
+        return 'Una tarea completada debe tener fecha de terminación.';
+    }
+    if (fechaTerminada && !completed) {
+        return 'Solo una tarea completada puede tener fecha de terminación.';
+    }
+    if (fechaTerminada && fechaTerminada > now) {
+        return 'No puede ser una fecha futura.';
+    }
+    return null;
+};
+
+const sendBlockedResponse = (res, openBlockers) => {
+    return res.status(409).json({ error: 'La tarea tiene tareas bloqueantes sin completar. Envía overrideBlockers: true para completarla igualmente.', blockers: openBlockers });
+};
+
+// Control de concurrencia optimista: el ETag de una tarea identifica su versión por `updatedAt`
+const taskEtag = (task) => `"task-${task.id}-${task.updatedAt.getTime()}"`;
+
+const matchesIfMatch = (header, task) => {
+    return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === taskEtag(task));
+};
+
+// 412 con la copia actual del servidor, para que el cliente pueda fusionar sus cambios y reintentar
+const sendPreconditionFailed = async (res, taskId) => {
+    const current = await prisma.task.findUnique({ where: { id: taskId }, include: TASK_INCLUDE });
+    if (!current || current.deletedAt) {
+        return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+    }
+    res.set('ETag', taskEtag(current));
+    return res.status(412).json({ error: 'La tarea ha cambiado desde que la leíste.', current });
+};
+
+app.get('/api/tasks/:id', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const visibleTask = await findVisibleTask(req.params.id, req.user);
+        if (!visibleTask) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para verla.' });
+        }
+        const task = await prisma.task.findUnique({ where: { id: visibleTask.id }, include: TASK_INCLUDE });
+        const [withProgress] = await attachSubtaskProgress([task]);
+        // Con If-None-Match igual al ETag, Express responde 304 sin cuerpo
+        res.set('ETag', taskEtag(task));
+        res.status(200).json({ ...withProgress, cuadrante: getTaskQuadrant(task) });
+    } catch (error) {
+        console.error('Error al obtener la tarea:', error);
+        res.status(500).json({ error: 'No se pudo obtener la tarea.', details: error.message });
+    }
+});
+
+// Actualización parcial (PUT y PATCH): los campos que no se envían no cambian.
+// Con If-Match solo se escribe si la tarea sigue en la versión indicada; si no, 412.
+const handleTaskUpdate = async (req, res) => {
+    const ifMatch = req.get('If-Match');
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        if (ifMatch && !matchesIfMatch(ifMatch, task)) {
+            return sendPreconditionFailed(res, task.id);
+        }
+        const { proyecto, projectId, responsable, assigneeId, titulo, descripcion, fechaVencimiento, fechaTerminada, prioridad, urgente, importante, isCompleted, overrideBlockers, tagIds } = req.body;
+        const now = new Date();
+        const completed = isCompleted === undefined ? task.isCompleted : isCompleted;
+        const fieldErrors = {};
+        if (isDueBeforeStart(fechaVencimiento, task.fechaInicio)) {
+            fieldErrors.fechaVencimiento = DUE_BEFORE_START_ERROR;
+        }
+        const completionError = fechaTerminada === undefined ? null : completionDateError(fechaTerminada, completed, now);
+        if (completionError) {
+            fieldErrors.fechaTerminada = completionError;
+        }
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: fieldErrors });
+        }
+        if (isCompleted === true && !task.isCompleted && !overrideBlockers) {
+            const openBlockers = await findOpenBlockers(task.id);
+            if (openBlockers.length > 0) {
+                return sendBlockedResponse(res, openBlockers);
+            }
+        }
+        if (tagIds && !(await areTagsAccessible(tagIds, req.user, projectId === undefined ? task.projectId : projectId))) {
+            return res.status(400).json({ error: 'Alguna de las etiquetas no existe o no tienes acceso a ella.' });
+        }
+        // assigneeId: null quita la asignación; un id debe ser el propio usuario o un miembro del proyecto (final) de la tarea
+        if (assigneeId && !(await findAllowedAssignee(assigneeId, req.user, projectId === undefined ? task.projectId : projectId))) {
+            return res.status(400).json({ error: ASSIGNEE_NOT_ALLOWED_ERROR });
+        }
+        // projectId: null desvincula la tarea del proyecto; un id la mueve y sincroniza la etiqueta `proyecto`
+        let projectName = proyecto;
+        if (projectId) {
+            const project = await findAccessibleProject(projectId, req.user, PROJECT_WRITE_ROLES);
+            if (!project) {
+                return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para usarlo.' });
+            }
+            projectName = project.name;
+        }
+        const data = { proyecto: projectName, projectId, responsable, assigneeId, titulo, descripcion, fechaVencimiento, prioridad, prioridadRank: priorityRank(prioridad), urgente, importante, isCompleted };
+        // El cambio de estado fija o borra la fecha de terminación; sin cambio de estado solo se corrige si se envía
+        if (isCompleted !== undefined && isCompleted !== task.isCompleted) {
+            data.fechaTerminada = isCompleted ? fechaTerminada || now : null;
+        } else if (fechaTerminada !== undefined) {
+            data.fechaTerminada = fechaTerminada;
+        }
+        // tagIds reemplaza el conjunto completo de etiquetas de la tarea; sin tagIds, un cambio de proyecto
+        // quita las etiquetas del proyecto anterior
+        if (tagIds) {
+            data.tags = { set: tagIds.map(tagId => ({ id: tagId })) };
+        } else if (projectId !== undefined && projectId !== task.projectId) {
+            const staleTags = await findTagsOutsideProject([task.id], projectId);
+            if (staleTags.length > 0) {
+                data.tags = { disconnect: staleTags.map(tag => ({ id: tag.id })) };
+            }
+        }
+        const { updatedTask, nextTask } = await updateTaskWithHistory(task, data, req.user.userId, { expectedUpdatedAt: ifMatch ? task.updatedAt : undefined });
+        res.set('ETag', taskEtag(updatedTask));
+        res.status(200).json(nextTask ? { ...updatedTask, nextOccurrence: nextTask } : updatedTask);
+    } catch (error) {
+        console.error('Error al actualizar la tarea:', error);
+        if (error.code === 'P2025') {
+            // Con If-Match, P2025 significa que otra escritura se adelantó entre la lectura y la actualización
+            if (ifMatch) {
+                return sendPreconditionFailed(res, req.params.id);
+            }
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        res.status(500).json({ error: 'No se pudo actualizar la tarea.', details: error.message });
+    }
+};
+
+app.put('/api/tasks/:id', authenticateToken, validate(schemas.updateTask), handleTaskUpdate);
+app.patch('/api/tasks/:id', authenticateToken, validate(schemas.updateTask), handleTaskUpdate);
+
+// Completa la tarea fijando fechaTerminada en el servidor (o la indicada, si es pasada)
+app.post('/api/tasks/:id/complete', authenticateToken, validate(schemas.completeTask), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        if (task.isCompleted) {
+            return res.status(409).json({ error: 'La tarea ya está completada.' });
+        }
+        const { fechaTerminada, overrideBlockers } = req.body;
+        const now = new Date();
+        const completionError = completionDateError(fechaTerminada, true, now);
+        if (completionError) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { fechaTerminada: completionError } });
+        }
+        if (!overrideBlockers) {
+            const openBlockers = await findOpenBlockers(task.id);
+            if (openBlockers.length > 0) {
+                return sendBlockedResponse(res, openBlockers);
+            }
+        }
+        const { updatedTask, nextTask } = await updateTaskWithHistory(task, { isCompleted: true, fechaTerminada: fechaTerminada || now }, req.user.userId);
+        res.status(200).json(nextTask ? { ...updatedTask, nextOccurrence: nextTask } : updatedTask);
+    } catch (error) {
+        console.error('Error al completar la tarea:', error);
+        res.status(500).json({ error: 'No se pudo completar la tarea.', details: error.message });
+    }
+});
+
+app.post('/api/tasks/:id/reopen', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        if (!task.isCompleted) {
+            return res.status(409).json({ error: 'La tarea no está completada.' });
+        }
+        const { updatedTask } = await updateTaskWithHistory(task, { isCompleted: false, fechaTerminada: null }, req.user.userId);
+        res.status(200).json(updatedTask);
+    } catch (error) {
+        console.error('Error al reabrir la tarea:', error);
+        res.status(500).json({ error: 'No se pudo reabrir la tarea.', details: error.message });
+    }
+});
+
+// Edición masiva: una acción sobre una lista de ids o sobre las tareas que cumplan un filtro de GET /api/tasks.
+// Los cambios de todas las tareas autorizadas se aplican en una única transacción; cada id informa de su resultado.
+const BULK_MAX_TASKS = 500;
+
+app.post('/api/tasks/bulk', authenticateToken, validate(schemas.bulkTasks), async (req, res) => {
+    try {
+        const { ids, filter, action, fields, projectId, overrideBlockers, dryRun } = req.body;
+        const { userId } = req.user;
+        if (Boolean(ids) === Boolean(filter)) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { ids: 'Indica ids o filter, pero no ambos.' } });
+        }
+        if (action === 'update' && (!fields || Object.keys(fields).length === 0)) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { fields: 'Indica al menos un campo a actualizar.' } });
+        }
+        if (action === 'move' && projectId === undefined) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { projectId: 'Indica el proyecto destino (o null para desvincular).' } });
+        }
+        // El asignado se comprueba por tarea, contra el proyecto de cada una
+        const assignee = action === 'update' && fields.assigneeId
+            ? await prisma.user.findUnique({ where: { id: fields.assigneeId }, include: { memberships: { select: { projectId: true } } } })
+            : null;
+        let project = null;
+        if (action === 'move' && projectId !== null) {
+            project = await findAccessibleProject(projectId, req.user, PROJECT_WRITE_ROLES);
+            if (!project) {
+                return res.status(404).json({ error: 'Proyecto no encontrado o no tienes permiso para usarlo.' });
+            }
+        }
+
+        // Selección: con ids se informa también de los que no existen o no son visibles
+        const selectionWhere = ids
+            ? { AND: [taskVisibilityWhere(req.user), { id: { in: ids } }] }
+            : buildTaskFilterWhere(filter, req.user);
+        const tasks = await prisma.task.findMany({
+            where: selectionWhere,
+            orderBy: { id: 'asc' },
+            take: BULK_MAX_TASKS + 1,
+            include: editableTaskInclude(userId)
+        });
+        if (tasks.length > BULK_MAX_TASKS) {
+            return res.status(400).json({ error: `La operación afecta a más de ${BULK_MAX_TASKS} tareas; acota el filtro.` });
+        }
+        const results = new Map();
+        if (ids) {
+            for (const taskId of ids) {
+                results.set(taskId, { id: taskId, status: 'error', error: 'Tarea no encontrada o no tienes permiso para verla.' });
+            }
+        }
+
+        // Al completar, las bloqueantes que se completan en la misma operación no cuentan. Se parte de las tareas
+        // editables y se descartan, hasta que no cambie nada, las que tienen una bloqueante que no se va a completar
+        // (así una cadena A <- B <- C solo se completa entera si A también puede completarse)
+        const openBlockers = action === 'complete' && !overrideBlockers
+            ? await prisma.taskDependency.findMany({
+                where: { taskId: { in: tasks.map(task => task.id) }, blocker: { isCompleted: false, deletedAt: null } },
+                select: { taskId: true, blockerId: true }
+            })
+            : [];
+        const completingIds = new Set(tasks.filter(task => canEditTask(task, req.user)).map(task => task.id));
+        let pruned = true;
+        while (pruned) {
+            pruned = false;
+            for (const dependency of openBlockers) {
+                if (completingIds.has(dependency.taskId) && !completingIds.has(dependency.blockerId)) {
+                    completingIds.delete(dependency.taskId);
+                    pruned = true;
+                }
+            }
+        }
+
+        // Al mover, las etiquetas de otros proyectos se desvinculan de cada tarea
+        const staleTags = action === 'move' ? await findTagsOutsideProject(tasks.map(task => task.id), project ? project.id : null) : [];
+
+        const now = new Date();
+        const planned = [];
+        for (const task of tasks) {
+            if (!canEditTask(task, req.user)) {
+                results.set(task.id, { id: task.id, status: 'error', error: 'No tienes permiso para modificar esta tarea.' });
+                continue;
+            }
+            let data;
+            switch (action) {
+                case 'update':
+                    if (isDueBeforeStart(fields.fechaVencimiento, task.fechaInicio)) {
+                        results.set(task.id, { id: task.id, status: 'error', error: `fechaVencimiento: ${DUE_BEFORE_START_ERROR}` });
+                        continue;
+                    }
+                    if (fields.assigneeId && !isAllowedAssignee(assignee, req.user, task.projectId)) {
+                        results.set(task.id, { id: task.id, status: 'error', error: ASSIGNEE_NOT_ALLOWED_ERROR });
+                        continue;
+                    }
+                    data = { ...fields, ...(fields.prioridad && { prioridadRank: priorityRank(fields.prioridad) }) };
+                    break;
+                case 'complete': {
+                    const blockers = openBlockers.filter(dependency => dependency.taskId === task.id && !completingIds.has(dependency.blockerId));
+                    if (blockers.length > 0) {
+                        results.set(task.id, { id: task.id, status: 'error', error: 'La tarea tiene tareas bloqueantes sin completar.', blockers: blockers.map(dependency => dependency.blockerId) });
+                        continue;
+                    }
+                    data = task.isCompleted ? {} : { isCompleted: true, fechaTerminada: now };
+                    break;
+                }
+                case 'reopen':
+                    data = task.isCompleted ? { isCompleted: false, fechaTerminada: null } : {};
+                    break;
+                case 'delete':
+                    data = { deletedAt: now };
+                    break;
+                case 'move': {
+                    data = project ? { projectId: project.id, proyecto: project.name } : { projectId: null };
+                    const disconnect = staleTags.filter(tag => tag.tasks.some(tagged => tagged.id === task.id)).map(tag => ({ id: tag.id }));
+                    if (disconnect.length > 0) {
+                        data.tags = { disconnect };
+                    }
+                    break;
+                }
+            }
+            const changes = diffTask(task, { ...task, ...data });
+            if (Object.keys(changes).length === 0) {
+                results.set(task.id, { id: task.id, status: 'unchanged' });
+                continue;
+            }
+            planned.push({ task, data });
+            results.set(task.id, { id: task.id, status: dryRun ? 'wouldChange' : 'changed', changes });
+        }
+
+        if (!dryRun && planned.length > 0) {
+            await prisma.$transaction(async (tx) => {
+                for (const { task, data } of planned) {
+                    // Completar una ocurrencia recurrente traslada la regla a la siguiente, igual que en PUT
+                    const seriesId = task.recurrenceSeriesId || task.id;
+                    const generatesNext = action === 'complete' && Boolean(task.recurrenceRule);
+                    if (generatesNext) {
+                        data.recurrenceRule = null;
+                        data.recurrenceSeriesId = seriesId;
+                    }
+                    const updatedTask = await tx.task.update({ where: { id: task.id }, data, include: TASK_INCLUDE });
+                    if (action === 'delete') {
+                        await tx.task.updateMany({ where: { parentId: task.id, deletedAt: null }, data: { deletedAt: now } });
+                    }
+                    await recordTaskAudit(tx, { action: action === 'delete' ? 'DELETE' : 'UPDATE', actorId: userId, before: task, after: updatedTask });
+                    const nextTask = generatesNext ? await createNextOccurrence(tx, updatedTask, task.recurrenceRule, seriesId) : null;
+                    if (nextTask) {
+                        await recordTaskAudit(tx, { action: 'CREATE', actorId: userId, after: nextTask });
+                        results.get(task.id).nextOccurrenceId = nextTask.id;
+                    }
+                }
+            }, { timeout: 30000 });
+        }
+
+        const list = [...results.values()];
+        res.status(200).json({
+            action,
+            dryRun,
+            matched: tasks.length,
+            changed: planned.length,
+            failed: list.filter(result => result.status === 'error').length,
+            results: list
+        });
+    } catch (error) {
+        console.error('Error en la operación masiva:', error);
+        res.status(500).json({ error: 'No se pudo completar la operación masiva.', details: error.message });
+    }
+});
+
+// Rutas de Historial
+const AUDIT_INCLUDE = { actor: { select: { id: true, email: true } } };
+
+app.get('/api/tasks/:id/history', authenticateToken, validate(schemas.taskHistory), async (req, res) => {
+    try {
+        const task = await findVisibleTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para verla.' });
+        }
+        const { page, limit } = req.query;
+        const whereClause = { taskId: task.id };
+        const { items: entries, pagination } = await paginate(prisma.taskAudit, {
+            where: whereClause,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            include: AUDIT_INCLUDE
+        }, { page, limit });
+        res.status(200).json({ entries, ...pagination });
+    } catch (error) {
+        console.error('Error al obtener el historial de la tarea:', error);
+        res.status(500).json({ error: 'No se pudo obtener el historial.', details: error.message });
+    }
+});
+
+app.get('/api/admin/audit', authenticateToken, requireRole('ADMIN'), validate(schemas.listAudit), async (req, res) => {
+    try {
+        const { userId, taskId, action, from, to, page, limit } = req.query;
+        const whereClause = {};
+        if (userId) {
+            whereClause.actorId = userId;
+        }
+        if (taskId) {
+            whereClause.taskId = taskId;
+        }
+        if (action) {
+            whereClause.action = action;
+        }
+        if (from || to) {
+            whereClause.createdAt = { gte: from, lte: to };
+        }
+        const { items: entries, pagination } = await paginate(prisma.taskAudit, {
+            where: whereClause,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            include: AUDIT_INCLUDE
+        }, { page, limit });
+        res.status(200).json({ entries, ...pagination });
+    } catch (error) {
+        console.error('Error al obtener la auditoría:', error);
+        res.status(500).json({ error: 'No se pudo obtener la auditoría.', details: error.message });
+    }
+});
+
+// Menciones en comentarios: `@usuario@dominio.com`
+const MENTION_REGEX = /(?:^|[^\w@])@([^\s@]+@[^\s@]+\.[a-zA-Z]{2,})/g;
+
+// `author` es null en los comentarios de cuentas eliminadas
+const COMMENT_INCLUDE = {
+    author: { select: { id: true, email: true } },
+    mentions: { select: { user: { select: { id: true, email: true } } } }
+};
+
+// Ids de los usuarios mencionados en el texto que pueden ver la tarea; el resto de menciones se ignora
+const findMentionedUserIds = async (body, taskId) => {
+    const emails = [...new Set([...body.matchAll(MENTION_REGEX)].map(match => match[1]))];
+    if (emails.length === 0) {
+        return [];
+    }
+    const users = await prisma.user.findMany({ where: { email: { in: emails } }, select: { id: true, role: true } });
+    const visible = await Promise.all(users.map(user => {
+        return prisma.task.count({ where: { AND: [{ id: taskId }, taskVisibilityWhere({ userId: user.id, role: user.role })] } });
+    }));
+    return users.filter((user, index) => visible[index] > 0).map(user => user.id);
+};
+
+// Rutas de Comentarios
+app.get('/api/tasks/:id/comments', authenticateToken, validate(schemas.listComments), async (req, res) => {
+    try {
+        const task = await findVisibleTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para verla.' });
+        }
+        const { page, limit } = req.query;
+        const { items: comments, pagination } = await paginate(prisma.comment, {
+            where: { taskId: task.id },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            include: COMMENT_INCLUDE
+        }, { page, limit });
+        res.status(200).json({ comments, ...pagination });
+    } catch (error) {
+        console.error('Error al obtener los comentarios:', error);
+        res.status(500).json({ error: 'No se pudieron obtener los comentarios.', details: error.message });
+    }
+});
+
+app.post('/api/tasks/:id/comments', authenticateToken, validate(schemas.createComment), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para comentarla.' });
+        }
+        const { body } = req.body;
+        const mentionedUserIds = await findMentionedUserIds(body, task.id);
+        const comment = await prisma.$transaction(async (tx) => {
+            const createdComment = await tx.comment.create({
+                data: {
+                    body,
+                    taskId: task.id,
+                    authorId: req.user.userId,
+                    mentions: { create: mentionedUserIds.map(userId => ({ userId })) }
+                },
+                include: COMMENT_INCLUDE
+            });
+            // Los mencionados reciben la mención en lugar del aviso genérico de comentario
+            const notification = { actorId: req.user.userId, task, comment: createdComment };
+            await notifyUsers(tx, 'COMMENT_MENTION', { ...notification, recipientIds: mentionedUserIds });
+            await notifyUsers(tx, 'TASK_COMMENTED', {
+                ...notification,
+                recipientIds: [task.userId, task.assigneeId].filter(userId => !mentionedUserIds.includes(userId))
+            });
+            return createdComment;
+        });
+        res.status(201).json(comment);
+    } catch (error) {
+        console.error('Error al crear el comentario:', error);
+        res.status(500).json({ error: 'No se pudo crear el comentario.', details: error.message });
+    }
+});
+
+// Solo el autor puede editar su comentario; las menciones se recalculan
+app.put('/api/tasks/:id/comments/:commentId', authenticateToken, validate(schemas.updateComment), async (req, res) => {
+    try {
+        const comment = await prisma.comment.findFirst({ where: { id: req.params.commentId, taskId: req.params.id } });
+        if (!comment || comment.authorId !== req.user.userId) {
+            return res.status(404).json({ error: 'Comentario no encontrado o no tienes permiso para editarlo.' });
+        }
+        const { body } = req.body;
+        const mentionedUserIds = await findMentionedUserIds(body, comment.taskId);
+        const updatedComment = await prisma.comment.update({
+            where: { id: comment.id },
+            data: {
+                body,
+                editedAt: new Date(),
+                mentions: {
+                    deleteMany: {},
+                    create: mentionedUserIds.map(userId => ({ userId }))
+                }
+            },
+            include: COMMENT_INCLUDE
+        });
+        res.status(200).json(updatedComment);
+    } catch (error) {
+        console.error('Error al editar el comentario:', error);
+        res.status(500).json({ error: 'No se pudo editar el comentario.', details: error.message });
+    }
+});
+
+app.delete('/api/tasks/:id/comments/:commentId', authenticateToken, validate(schemas.commentParams), async (req, res) => {
+    try {
+        const comment = await prisma.comment.findFirst({ where: { id: req.params.commentId, taskId: req.params.id } });
+        if (!comment || (comment.authorId !== req.user.userId && req.user.role !== 'ADMIN')) {
+            return res.status(404).json({ error: 'Comentario no encontrado o no tienes permiso para eliminarlo.' });
+        }
+        await prisma.comment.delete({ where: { id: comment.id } });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar el comentario:', error);
+        res.status(500).json({ error: 'No se pudo eliminar el comentario.', details: error.message });
+    }
+});
+
+// Comentarios en los que se ha mencionado al usuario
+app.get('/api/mentions', authenticateToken, validate(schemas.listMentions), async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        // Solo las menciones en tareas que el usuario sigue pudiendo ver
+        const whereClause = { userId: req.user.userId, comment: { task: taskVisibilityWhere(req.user) } };
+        const { items: mentions, pagination } = await paginate(prisma.commentMention, {
+            where: whereClause,
+            orderBy: { createdAt: 'desc' },
+            include: {
+                comment: {
+                    include: {
+                        author: { select: { id: true, email: true } },
+                        task: { select: { id: true, titulo: true } }
+                    }
+                }
+            }
+        }, { page, limit });
+        res.status(200).json({ mentions, ...pagination });
+    } catch (error) {
+        console.error('Error al obtener las menciones:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las menciones.', details: error.message });
+    }
+});
+
+// Rutas de Recurrencia
+app.get('/api/tasks/:id/recurrence', authenticateToken, validate(schemas.previewRecurrence), async (req, res) => {
+    try {
+        const task = await findVisibleTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para verla.' });
+        }
+        if (!task.recurrenceRule) {
+            return res.status(200).json({ recurrenceRule: null, seriesId: task.recurrenceSeriesId, upcoming: [] });
+        }
+        const { rule } = parseRule(task.recurrenceRule);
+        const from = task.fechaVencimiento || new Date();
+        res.status(200).json({
+            recurrenceRule: task.recurrenceRule,
+            seriesId: task.recurrenceSeriesId || task.id,
+            // Con FROM=COMPLETION las fechas reales dependen de cuándo se complete cada ocurrencia
+            approximate: rule.fromCompletion,
+            upcoming: upcomingOccurrences(rule, from, req.query.count)
+        });
+    } catch (error) {
+        console.error('Error al obtener la recurrencia:', error);
+        res.status(500).json({ error: 'No se pudo obtener la recurrencia.', details: error.message });
+    }
+});
+
+// Crea o edita la regla de la serie; se aplica a la ocurrencia abierta y a las que se generen después
+app.put('/api/tasks/:id/recurrence', authenticateToken, validate(schemas.updateRecurrence), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        if (task.isCompleted || task.parentId) {
+            return res.status(409).json({ error: 'Solo una tarea abierta que no sea subtarea puede tener recurrencia.' });
+        }
+        const recurrence = normalizeRecurrenceRule(req.body.recurrenceRule, task.fechaVencimiento);
+        if (recurrence.error) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { recurrenceRule: recurrence.error } });
+        }
+        const updatedTask = await prisma.$transaction(async (tx) => {
+            const updated = await tx.task.update({
+                where: { id: task.id },
+                data: { recurrenceRule: recurrence.value },
+                include: TASK_INCLUDE
+            });
+            await recordTaskAudit(tx, { action: 'UPDATE', actorId: req.user.userId, before: task, after: updated });
+            return updated;
+        });
+        res.status(200).json(updatedTask);
+    } catch (error) {
+        console.error('Error al actualizar la recurrencia:', error);
+        res.status(500).json({ error: 'No se pudo actualizar la recurrencia.', details: error.message });
+    }
+});
+
+// Detiene la serie: la ocurrencia actual queda como tarea normal y no se generan más
+app.delete('/api/tasks/:id/recurrence', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        await prisma.$transaction(async (tx) => {
+            const updated = await tx.task.update({ where: { id: task.id }, data: { recurrenceRule: null } });
+            await recordTaskAudit(tx, { action: 'UPDATE', actorId: req.user.userId, before: task, after: updated });
+        });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al detener la recurrencia:', error);
+        res.status(500).json({ error: 'No se pudo detener la recurrencia.', details: error.message });
+    }
+});
+
+// Rutas de Dependencias entre Tareas
+app.get('/api/tasks/:id/dependencies', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const task = await findVisibleTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para verla.' });
+        }
+        const dependencySelect = { id: true, titulo: true, isCompleted: true, fechaVencimiento: true };
+        const [blockedBy, blocking] = await Promise.all([
+            prisma.taskDependency.findMany({ where: { taskId: task.id, blocker: { deletedAt: null } }, include: { blocker: { select: dependencySelect } } }),
+            prisma.taskDependency.findMany({ where: { blockerId: task.id, task: { deletedAt: null } }, include: { task: { select: dependencySelect } } })
+        ]);
+        res.status(200).json({
+            blockedBy: blockedBy.map(dependency => dependency.blocker),
+            blocking: blocking.map(dependency => dependency.task),
+            isBlocked: blockedBy.some(dependency => !dependency.blocker.isCompleted)
+        });
+    } catch (error) {
+        console.error('Error al obtener las dependencias:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las dependencias.', details: error.message });
+    }
+});
+
+app.post('/api/tasks/:id/dependencies', authenticateToken, validate(schemas.addDependency), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        const { blockerId } = req.body;
+        const blocker = await findVisibleTask(blockerId, req.user);
+        if (!blocker) {
+            return res.status(404).json({ error: 'Tarea bloqueante no encontrada o no tienes permiso para verla.' });
+        }
+        if (await createsDependencyCycle(task.id, blocker.id)) {
+            return res.status(409).json({ error: 'La dependencia crearía un ciclo.' });
+        }
+        const dependency = await prisma.taskDependency.create({
+            data: { taskId: task.id, blockerId: blocker.id },
+            include: { blocker: { select: { id: true, titulo: true, isCompleted: true } } }
+        });
+        res.status(201).json(dependency);
+    } catch (error) {
+        console.error('Error al crear la dependencia:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'La dependencia ya existe.' });
+        }
+        res.status(500).json({ error: 'No se pudo crear la dependencia.', details: error.message });
+    }
+});
+
+app.delete('/api/tasks/:id/dependencies/:blockerId', authenticateToken, validate(schemas.dependencyParams), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        const { count } = await prisma.taskDependency.deleteMany({ where: { taskId: task.id, blockerId: req.params.blockerId } });
+        if (count === 0) {
+            return res.status(404).json({ error: 'Dependencia no encontrada.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar la dependencia:', error);
+        res.status(500).json({ error: 'No se pudo eliminar la dependencia.', details: error.message });
+    }
+});
+
+// Rutas de Subtareas (un solo nivel: una subtarea no puede tener subtareas)
+app.get('/api/tasks/:id/subtasks', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const task = await findVisibleTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para verla.' });
+        }
+        const subtasks = await prisma.task.findMany({
+            where: { parentId: task.id, deletedAt: null },
+            orderBy: [{ position: 'asc' }, { id: 'asc' }],
+            include: TASK_INCLUDE
+        });
+        const completed = subtasks.filter(subtask => subtask.isCompleted).length;
+        res.status(200).json({
+            subtasks,
+            subtaskCount: subtasks.length,
+            completedSubtaskCount: completed,
+            progress: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : null
+        });
+    } catch (error) {
+        console.error('Error al obtener las subtareas:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las subtareas.', details: error.message });
+    }
+});
+
+app.post('/api/tasks/:id/subtasks', authenticateToken, validate(schemas.createSubtask), async (req, res) => {
+    try {
+        const parent = await findEditableTask(req.params.id, req.user);
+        if (!parent) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        if (parent.parentId) {
+            return res.status(400).json({ error: 'Una subtarea no puede tener subtareas.' });
+        }
+        const { titulo, descripcion, fechaVencimiento, assigneeId } = req.body;
+        if (isDueBeforeStart(fechaVencimiento, new Date())) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { fechaVencimiento: DUE_BEFORE_START_ERROR } });
+        }
+        let responsable = parent.responsable;
+        if (assigneeId) {
+            const assignee = await findAllowedAssignee(assigneeId, req.user, parent.projectId);
+            if (!assignee) {
+                return res.status(400).json({ error: ASSIGNEE_NOT_ALLOWED_ERROR });
+            }
+            responsable = assignee.email;
+        }
+        const lastSubtask = await prisma.task.findFirst({ where: { parentId: parent.id }, orderBy: { position: 'desc' } });
+        // La subtarea hereda proyecto, responsable y prioridad de la tarea padre
+        const subtask = await prisma.$transaction(async (tx) => {
+            const createdSubtask = await tx.task.create({
+                data: {
+                    titulo,
+                    descripcion,
+                    fechaVencimiento,
+                    assigneeId,
+                    responsable,
+                    proyecto: parent.proyecto,
+                    projectId: parent.projectId,
+                    prioridad: parent.prioridad,
+                    prioridadRank: parent.prioridadRank,
+                    importante: parent.importante,
+                    parentId: parent.id,
+                    position: lastSubtask ? lastSubtask.position + 1 : 0,
+                    userId: req.user.userId
+                },
+                include: TASK_INCLUDE
+            });
+            await recordTaskAudit(tx, { action: 'CREATE', actorId: req.user.userId, after: createdSubtask });
+            return createdSubtask;
+        });
+        res.status(201).json(subtask);
+    } catch (error) {
+        console.error('Error al crear la subtarea:', error);
+        res.status(500).json({ error: 'No se pudo crear la subtarea.', details: error.message });
+    }
+});
+
+// Recibe los ids de todas las subtareas en el nuevo orden
+app.put('/api/tasks/:id/subtasks/order', authenticateToken, validate(schemas.reorderSubtasks), async (req, res) => {
+    try {
+        const parent = await findEditableTask(req.params.id, req.user);
+        if (!parent) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        const { ids } = req.body;
+        const subtasks = await prisma.task.findMany({ where: { parentId: parent.id, deletedAt: null }, select: { id: true } });
+        const currentIds = new Set(subtasks.map(subtask => subtask.id));
+        if (ids.length !== currentIds.size || new Set(ids).size !== ids.length || !ids.every(subtaskId => currentIds.has(subtaskId))) {
+            return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: { ids: 'Debe contener exactamente los ids de todas las subtareas.' } });
+        }
+        await prisma.$transaction(ids.map((subtaskId, position) => prisma.task.update({
+            where: { id: subtaskId },
+            data: { position }
+        })));
+        const reordered = await prisma.task.findMany({
+            where: { parentId: parent.id, deletedAt: null },
+            orderBy: { position: 'asc' },
+            include: TASK_INCLUDE
+        });
+        res.status(200).json(reordered);
+    } catch (error) {
+        console.error('Error al reordenar las subtareas:', error);
+        res.status(500).json({ error: 'No se pudieron reordenar las subtareas.', details: error.message });
+    }
+});
+
+// Renombrar una subtarea o marcarla como completada / pendiente
+app.put('/api/tasks/:id/subtasks/:subtaskId', authenticateToken, validate(schemas.updateSubtask), async (req, res) => {
+    try {
+        const parent = await findEditableTask(req.params.id, req.user);
+        if (!parent) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        const subtask = await prisma.task.findFirst({ where: { id: req.params.subtaskId, parentId: parent.id, deletedAt: null } });
+        if (!subtask) {
+            return res.status(404).json({ error: 'Subtarea no encontrada.' });
+        }
+        const { titulo, isCompleted, overrideBlockers } = req.body;
+        // Una subtarea puede tener sus propias bloqueantes: se aplican igual que al completar una tarea
+        if (isCompleted === true && !subtask.isCompleted && !overrideBlockers) {
+            const openBlockers = await findOpenBlockers(subtask.id);
+            if (openBlockers.length > 0) {
+                return sendBlockedResponse(res, openBlockers);
+            }
+        }
+        const data = { titulo, isCompleted };
+        // Solo un cambio de estado fija o borra la fecha de terminación
+        if (isCompleted !== undefined && isCompleted !== subtask.isCompleted) {
+            data.fechaTerminada = isCompleted ? new Date() : null;
+        }
+        const updatedSubtask = await prisma.$transaction(async (tx) => {
+            const updated = await tx.task.update({ where: { id: subtask.id }, data, include: TASK_INCLUDE });
+            await recordTaskAudit(tx, { action: 'UPDATE', actorId: req.user.userId, before: subtask, after: updated });
+            return updated;
+        });
+        res.status(200).json(updatedSubtask);
+    } catch (error) {
+        console.error('Error al actualizar la subtarea:', error);
+        res.status(500).json({ error: 'No se pudo actualizar la subtarea.', details: error.message });
+    }
+});
+
+app.delete('/api/tasks/:id/subtasks/:subtaskId', authenticateToken, validate(schemas.subtaskParams), async (req, res) => {
+    try {
+        const parent = await findEditableTask(req.params.id, req.user);
+        if (!parent) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para actualizarla.' });
+        }
+        const subtask = await prisma.task.findFirst({ where: { id: req.params.subtaskId, parentId: parent.id, deletedAt: null } });
+        if (!subtask) {
+            return res.status(404).json({ error: 'Subtarea no encontrada.' });
+        }
+        await prisma.$transaction(async (tx) => {
+            const trashed = await tx.task.update({ where: { id: subtask.id }, data: { deletedAt: new Date() } });
+            await recordTaskAudit(tx, { action: 'DELETE', actorId: req.user.userId, before: subtask, after: trashed });
+        });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar la subtarea:', error);
+        res.status(500).json({ error: 'No se pudo eliminar la subtarea.', details: error.message });
+    }
+});
+
+app.delete('/api/tasks/:id', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user);
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para eliminarla.' });
+        }
+        // Borrado lógico: la tarea y sus subtareas pasan a la papelera con la misma marca de tiempo
+        const deletedAt = new Date();
+        await prisma.$transaction(async (tx) => {
+            const trashed = await tx.task.update({
+                where: { id: task.id },
+                data: { deletedAt }
+            });
+            await tx.task.updateMany({ where: { parentId: task.id, deletedAt: null }, data: { deletedAt } });
+            await recordTaskAudit(tx, { action: 'DELETE', actorId: req.user.userId, before: task, after: trashed });
+        });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar la tarea:', error);
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Tarea no encontrada o no tienes permiso para eliminarla.' });
+        }
+        res.status(500).json({ error: 'No se pudo eliminar la tarea.', details: error.message });
+    }
+});
+
+// Rutas de Notificaciones
+const NOTIFICATION_INCLUDE = {
+    actor: { select: { id: true, email: true } },
+    task: { select: { id: true, titulo: true } }
+};
+
+app.get('/api/notifications', authenticateToken, validate(schemas.listNotifications), async (req, res) => {
+    try {
+        const { unread, page, limit } = req.query;
+        const whereClause = { userId: req.user.userId };
+        if (unread !== undefined) {
+            whereClause.readAt = unread ? null : { not: null };
+        }
+        const { items: notifications, pagination } = await paginate(prisma.notification, {
+            where: whereClause,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            include: NOTIFICATION_INCLUDE
+        }, { page, limit });
+        const unreadCount = await prisma.notification.count({ where: { userId: req.user.userId, readAt: null } });
+        res.status(200).json({ notifications, ...pagination, unreadCount });
+    } catch (error) {
+        console.error('Error al obtener las notificaciones:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las notificaciones.', details: error.message });
+    }
+});
+
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const { count } = await prisma.notification.updateMany({
+            where: { userId: req.user.userId, readAt: null },
+            data: { readAt: new Date() }
+        });
+        res.status(200).json({ updated: count });
+    } catch (error) {
+        console.error('Error al marcar las notificaciones como leídas:', error);
+        res.status(500).json({ error: 'No se pudieron marcar las notificaciones como leídas.', details: error.message });
+    }
+});
+
+app.post('/api/notifications/:id/read', authenticateToken, validate(schemas.notificationParams), async (req, res) => {
+    try {
+        const notification = await prisma.notification.findFirst({ where: { id: req.params.id, userId: req.user.userId } });
+        if (!notification) {
+            return res.status(404).json({ error: 'Notificación no encontrada.' });
+        }
+        const read = notification.readAt ? notification : await prisma.notification.update({
+            where: { id: notification.id },
+            data: { readAt: new Date() }
+        });
+        res.status(200).json(read);
+    } catch (error) {
+        console.error('Error al marcar la notificación como leída:', error);
+        res.status(500).json({ error: 'No se pudo marcar la notificación como leída.', details: error.message });
+    }
+});
+
+// Preferencias: todos los tipos están activados salvo que el usuario los desactive
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+    try {
+        const stored = await prisma.notificationPreference.findMany({ where: { userId: req.user.userId } });
+        const preferences = {};
+        for (const type of NOTIFICATION_TYPES) {
+            const preference = stored.find(item => item.type === type);
+            preferences[type] = preference ? preference.enabled : true;
+        }
+        res.status(200).json({ preferences });
+    } catch (error) {
+        console.error('Error al obtener las preferencias de notificación:', error);
+        res.status(500).json({ error: 'No se pudieron obtener las preferencias de notificación.', details: error.message });
+    }
+});
+
+app.put('/api/notifications/preferences/:type', authenticateToken, validate(schemas.updateNotificationPreference), async (req, res) => {
+    try {
+        const { type } = req.params;
+        const { enabled } = req.body;
+        const preference = await prisma.notificationPreference.upsert({
+            where: { userId_type: { userId: req.user.userId, type } },
+            update: { enabled },
+            create: { userId: req.user.userId, type, enabled }
+        });
+        res.status(200).json({ type: preference.type, enabled: preference.enabled });
+    } catch (error) {
+        console.error('Error al actualizar la preferencia de notificación:', error);
+        res.status(500).json({ error: 'No se pudo actualizar la preferencia de notificación.', details: error.message });
+    }
+});
+
+// Recordatorios de vencimiento
+// Un planificador dentro del proceso genera, para el asignado (o el creador) de cada tarea abierta, un aviso
+// cuando entra en la ventana de alguna de sus antelaciones y otro cuando la tarea vence.
+// La clave única (tarea, usuario, tipo, antelación, vencimiento) evita duplicados entre ciclos y reinicios,
+// y cada aviso se marca como entregado antes de enviarlo, de modo que nunca se envía dos veces.
+const DEFAULT_REMINDER_LEAD_MINUTES = [24 * 60, 60];
+const REMINDER_OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const REMINDER_DELIVERY_BATCH = 100;
+
+const reminderLeadMinutes = (user) => (Array.isArray(user.reminderLeadMinutes) ? user.reminderLeadMinutes : DEFAULT_REMINDER_LEAD_MINUTES);
+
+// Aviso que toca ahora: el de menor antelación cuya ventana ya empezó (una tarea creada con poco margen
+// no recibe a la vez el de 1 día y el de 1 hora) o el de tarea vencida
+const pendingReminderFor = (task, recipient, now) => {
+    const due = task.fechaVencimiento;
+    if (due <= now) {
+        return recipient.remindOverdue ? { kind: 'OVERDUE', leadMinutes: 0 } : null;
+    }
+    const started = reminderLeadMinutes(recipient).filter(lead => due.getTime() - lead * 60 * 1000 <= now.getTime());
+    return started.length > 0 ? { kind: 'UPCOMING', leadMinutes: Math.min(...started) } : null;
+};
+
+// Filtro de tareas cuya primera ventana de aviso ya empezó: vencen antes de ahora + la mayor antelación del
+// destinatario (el asignado o, si no hay, el creador). Los usuarios con antelaciones propias se agrupan por su máximo.
+const reminderWindowWhere = async (now) => {
+    const dueWithin = (minutes) => ({ fechaVencimiento: { lte: new Date(now.getTime() + minutes * 60 * 1000) } });
+    const recipientIn = (ids) => ({ OR: [{ assigneeId: { in: ids } }, { assigneeId: null, userId: { in: ids } }] });
+    const customUsers = await prisma.user.findMany({
+        where: { reminderLeadMinutes: { not: Prisma.AnyNull } },
+        select: { id: true, reminderLeadMinutes: true }
+    });
+    const idsByMaxLead = new Map();
+    for (const user of customUsers) {
+        const maxLead = Math.max(0, ...reminderLeadMinutes(user));
+        idsByMaxLead.set(maxLead, [...(idsByMaxLead.get(maxLead) || []), user.id]);
+    }
+    const customIds = customUsers.map(user => user.id);
+    return {
+        OR: [
+            {
+                AND: [
+                    dueWithin(Math.max(...DEFAULT_REMINDER_LEAD_MINUTES)),
+                    { OR: [{ assigneeId: { notIn: customIds } }, { assigneeId: null, userId: { notIn: customIds } }] }
+                ]
+            },
+            ...[...idsByMaxLead].map(([maxLead, ids]) => ({ AND: [dueWithin(maxLead), recipientIn(ids)] }))
+        ]
+    };
+};
+
+const generateReminders = async (now) => {
+    const recipientSelect = { id: true, disabledAt: true, reminderLeadMinutes: true, remindOverdue: true };
+    const tasks = await prisma.task.findMany({
+        where: {
+            AND: [
+                { isCompleted: false, deletedAt: null, fechaVencimiento: { gte: new Date(now.getTime() - REMINDER_OVERDUE_LOOKBACK_MS) } },
+                await reminderWindowWhere(now)
+            ]
+        },
+        select: { id: true, fechaVencimiento: true, user: { select: recipientSelect }, assignee: { select: recipientSelect } }
+    });
+    const data = [];
+    for (const task of tasks) {
+        const recipient = task.assignee || task.user;
+        const reminder = recipient.disabledAt ? null : pendingReminderFor(task, recipient, now);
+        if (reminder) {
+            data.push({ ...reminder, dueAt: task.fechaVencimiento, taskId: task.id, userId: recipient.id });
+        }
+    }
+    // Un solo INSERT IGNORE: los que ya existen (de un ciclo anterior o de otro proceso) los descarta la clave única
+    if (data.length > 0) {
+        await prisma.reminder.createMany({ data, skipDuplicates: true });
+    }
+};
+
+const reminderNotification = (reminder) => {
+    const { task } = reminder;
+    const due = task.fechaVencimiento.toISOString();
+    const isOverdue = reminder.kind === 'OVERDUE';
+    return {
+        id: reminder.id,
+        userId: reminder.userId,
+        email: reminder.user.email,
+        taskId: task.id,
+        title: isOverdue ? `Tarea vencida: ${task.titulo}` : `Vence pronto: ${task.titulo}`,
+        body: isOverdue ? `La tarea "${task.titulo}" venció el ${due}.` : `La tarea "${task.titulo}" vence el ${due}.`
+    };
+};
+
+const deliverPendingReminders = async (now) => {
+    const pending = await prisma.reminder.findMany({
+        where: { deliveredAt: null, dismissedAt: null, task: { isCompleted: false, deletedAt: null } },
+        orderBy: { id: 'asc' },
+        take: REMINDER_DELIVERY_BATCH,
+        include: {
+            task: { select: { id: true, titulo: true, fechaVencimiento: true } },
+            user: { select: { email: true } }
+        }
+    });
+    for (const reminder of pending) {
+        // Se reclama antes de enviar: si el envío falla se registra, pero no se reintenta para no duplicar avisos
+        const { count } = await prisma.reminder.updateMany({ where: { id: reminder.id, deliveredAt: null }, data: { deliveredAt: now } });
+        if (count === 0) {
+            continue;
+        }
+        try {
+            await notifier.notify(reminderNotification(reminder));
+        } catch (error) {
+            console.error(`Error al enviar el recordatorio ${reminder.id}:`, error);
+        }
+    }
+};
+
+let reminderTickRunning = false;
+
+const runReminderTick = async () => {
+    if (reminderTickRunning) {
+        return;
+    }
+    reminderTickRunning = true;
+    try {
+        const now = new Date();
+        await generateReminders(now);
+        await deliverPendingReminders(now);
+    } catch (error) {
+        console.error('Error al procesar los recordatorios:', error);
+    } finally {
+        reminderTickRunning = false;
+    }
+};
+
+// Rutas de Recordatorios
+const REMINDER_INCLUDE = { task: { select: { id: true, titulo: true, fechaVencimiento: true, isCompleted: true } } };
+
+app.get('/api/reminders', authenticateToken, validate(schemas.listReminders), async (req, res) => {
+    try {
+        const { includeDismissed, page, limit } = req.query;
+        const whereClause = { userId: req.user.userId, deliveredAt: { not: null }, task: { deletedAt: null } };
+        if (!includeDismissed) {
+            whereClause.dismissedAt = null;
+        }
+        const { items: reminders, pagination } = await paginate(prisma.reminder, {
+            where: whereClause,
+            orderBy: [{ deliveredAt: 'desc' }, { id: 'desc' }],
+            include: REMINDER_INCLUDE
+        }, { page, limit });
+        res.status(200).json({ reminders, ...pagination });
+    } catch (error) {
+        console.error('Error al obtener los recordatorios:', error);
+        res.status(500).json({ error: 'No se pudieron obtener los recordatorios.', details: error.message });
+    }
+});
+
+app.get('/api/reminders/settings', authenticateToken, async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.userId }, select: { reminderLeadMinutes: true, remindOverdue: true } });
+        res.status(200).json({ leadMinutes: reminderLeadMinutes(user), remindOverdue: user.remindOverdue });
+    } catch (error) {
+        console.error('Error al obtener la configuración de recordatorios:', error);
+        res.status(500).json({ error: 'No se pudo obtener la configuración de recordatorios.', details: error.message });
+    }
+});
+
+// leadMinutes: antelaciones en minutos (p. ej. [1440, 60] = 1 día y 1 hora antes); [] desactiva los avisos previos
+app.put('/api/reminders/settings', authenticateToken, validate(schemas.updateReminderSettings), async (req, res) => {
+    try {
+        const { leadMinutes, remindOverdue } = req.body;
+        const data = { remindOverdue };
+        if (leadMinutes) {
+            data.reminderLeadMinutes = [...new Set(leadMinutes)].sort((a, b) => b - a);
+        }
+        const user = await prisma.user.update({
+            where: { id: req.user.userId },
+            data,
+            select: { reminderLeadMinutes: true, remindOverdue: true }
+        });
+        res.status(200).json({ leadMinutes: reminderLeadMinutes(user), remindOverdue: user.remindOverdue });
+    } catch (error) {
+        console.error('Error al actualizar la configuración de recordatorios:', error);
+        res.status(500).json({ error: 'No se pudo actualizar la configuración de recordatorios.', details: error.message });
+    }
+});
+
+app.post('/api/reminders/dismiss-all', authenticateToken, async (req, res) => {
+    try {
+        const { count } = await prisma.reminder.updateMany({
+            where: { userId: req.user.userId, deliveredAt: { not: null }, dismissedAt: null },
+            data: { dismissedAt: new Date() }
+        });
+        res.status(200).json({ dismissed: count });
+    } catch (error) {
+        console.error('Error al descartar los recordatorios:', error);
+        res.status(500).json({ error: 'No se pudieron descartar los recordatorios.', details: error.message });
+    }
+});
+
+app.post('/api/reminders/:id/dismiss', authenticateToken, validate(schemas.reminderParams), async (req, res) => {
+    try {
+        const reminder = await prisma.reminder.findFirst({ where: { id: req.params.id, userId: req.user.userId } });
+        if (!reminder) {
+            return res.status(404).json({ error: 'Recordatorio no encontrado.' });
+        }
+        const dismissed = reminder.dismissedAt ? reminder : await prisma.reminder.update({
+            where: { id: reminder.id },
+            data: { dismissedAt: new Date() }
+        });
+        res.status(200).json(dismissed);
+    } catch (error) {
+        console.error('Error al descartar el recordatorio:', error);
+        res.status(500).json({ error: 'No se pudo descartar el recordatorio.', details: error.message });
+    }
+});
+
+// Rutas de Calendario
+// Los clientes de calendario no pueden enviar el Bearer, así que el feed se autentica con un token secreto en la URL.
+// Cada usuario tiene como mucho un feed; regenerarlo invalida la URL anterior.
+const ICS_PRIORITY = { alta: 1, media: 5, baja: 9 };
+
+const calendarFeedUrl = (token) => `${API_URL}/api/calendar/${token}.ics`;
+
+app.get('/api/calendar/feed', authenticateToken, async (req, res) => {
+    try {
+        const feed = await prisma.calendarFeed.findUnique({ where: { userId: req.user.userId } });
+        res.status(200).json({ active: Boolean(feed), createdAt: feed ? feed.createdAt : null, lastUsedAt: feed ? feed.lastUsedAt : null });
+    } catch (error) {
+        console.error('Error al obtener el feed de calendario:', error);
+        res.status(500).json({ error: 'No se pudo obtener el feed de calendario.', details: error.message });
+    }
+});
+
+// Crea o regenera el feed; el token solo se muestra en esta respuesta
+app.post('/api/calendar/feed', authenticateToken, async (req, res) => {
+    try {
+        const token = generateToken();
+        const tokenHash = hashToken(token);
+        await prisma.calendarFeed.upsert({
+            where: { userId: req.user.userId },
+            update: { tokenHash, createdAt: new Date(), lastUsedAt: null },
+            create: { userId: req.user.userId, tokenHash }
+        });
+        res.status(201).json({ token, url: calendarFeedUrl(token) });
+    } catch (error) {
+        console.error('Error al crear el feed de calendario:', error);
+        res.status(500).json({ error: 'No se pudo crear el feed de calendario.', details: error.message });
+    }
+});
+
+app.delete('/api/calendar/feed', authenticateToken, async (req, res) => {
+    try {
+        const { count } = await prisma.calendarFeed.deleteMany({ where: { userId: req.user.userId } });
+        if (count === 0) {
+            return res.status(404).json({ error: 'No tienes ningún feed de calendario activo.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al revocar el feed de calendario:', error);
+        res.status(500).json({ error: 'No se pudo revocar el feed de calendario.', details: error.message });
+    }
+});
+
+// Feed .ics con las tareas abiertas que tienen vencimiento; admite los filtros proyecto y priority de GET /api/tasks
+app.get('/api/calendar/:token.ics', validate(schemas.calendarFeed), async (req, res) => {
+    try {
+        const feed = await prisma.calendarFeed.findUnique({
+            where: { tokenHash: hashToken(req.params.token) },
+            include: { user: { select: { id: true, email: true, role: true, disabledAt: true } } }
+        });
+        if (!feed || feed.user.disabledAt) {
+            return res.status(404).json({ error: 'Feed de calendario no encontrado.' });
+        }
+        const { proyecto, priority, type } = req.query;
+        const user = { userId: feed.user.id, role: feed.user.role };
+        const whereClause = buildTaskFilterWhere({ proyecto, priority, isCompleted: false }, user);
+        whereClause.fechaVencimiento = { not: null };
+        const tasks = await prisma.task.findMany({
+            where: whereClause,
+            orderBy: { fechaVencimiento: 'asc' },
+            include: TASK_INCLUDE
+        });
+        await prisma.calendarFeed.update({ where: { id: feed.id }, data: { lastUsedAt: new Date() } });
+
+        const calendar = formatCalendar({
+            name: `ZenMatrix · ${feed.user.email}`,
+            componentType: type === 'todo' ? 'VTODO' : 'VEVENT',
+            items: tasks.map(task => ({
+                uid: `task-${task.id}@zenmatrix`,
+                summary: task.titulo,
+                description: task.descripcion,
+                date: task.fechaVencimiento,
+                categories: [task.project ? task.project.name : task.proyecto, task.prioridad],
+                priority: ICS_PRIORITY[task.prioridad],
+                url: `${APP_URL}/tasks/${task.id}`,
+                updatedAt: task.updatedAt
+            }))
+        });
+        res.status(200).type('text/calendar; charset=utf-8').send(calendar);
+    } catch (error) {
+        console.error('Error al generar el feed de calendario:', error);
+        res.status(500).json({ error: 'No se pudo generar el feed de calendario.', details: error.message });
+    }
+});
+
+// Rutas de Papelera
+const trashPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Elimina definitivamente las tareas de la papelera que cumplan `where` (sus subtareas caen en cascada). Devuelve cuántas.
+const purgeTrashedTasks = async (where, actorId = null) => {
+    return prisma.$transaction(async (tx) => {
+        const tasks = await tx.task.findMany({ where: { AND: [{ deletedAt: { not: null } }, where] }, select: { id: true } });
+        if (tasks.length === 0) {
+            return 0;
+        }
+        const ids = tasks.map(task => task.id);
+        await tx.task.deleteMany({ where: { id: { in: ids } } });
+        await tx.taskAudit.createMany({ data: ids.map(taskId => ({ action: 'PURGE', taskId, actorId, changes: {} })) });
+        return ids.length;
+    });
+};
+
+// Vaciado automático de lo que lleva en la papelera más de TRASH_RETENTION_DAYS días
+const purgeExpiredTrash = async () => {
+    try {
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const purged = await purgeTrashedTasks({ deletedAt: { lte: cutoff } });
+        if (purged > 0) {
+            console.log(`🗑️ Papelera: ${purged} tareas eliminadas definitivamente.`);
+        }
+    } catch (error) {
+        console.error('Error al vaciar la papelera:', error);
+    }
+};
+
+app.post('/api/tasks/:id/restore', authenticateToken, validate(schemas.taskParams), async (req, res) => {
+    try {
+        const task = await findEditableTask(req.params.id, req.user, { trashed: true });
+        if (!task) {
+            return res.status(404).json({ error: 'Tarea no encontrada en la papelera o no tienes permiso para restaurarla.' });
+        }
+        if (task.parentId) {
+            const parent = await prisma.task.findUnique({ where: { id: task.parentId }, select: { deletedAt: true } });
+            if (parent && parent.deletedAt) {
+                return res.status(409).json({ error: 'La tarea padre está en la papelera; restáurala primero.' });
+            }
+        }
+        const restoredTask = await prisma.$transaction(async (tx) => {
+            const restored = await tx.task.update({
+                where: { id: task.id },
+                data: { deletedAt: null },
+                include: TASK_INCLUDE
+            });
+            // Solo vuelven las subtareas que se borraron junto con la tarea
+            await tx.task.updateMany({ where: { parentId: task.id, deletedAt: task.deletedAt }, data: { deletedAt: null } });
+            await recordTaskAudit(tx, { action: 'RESTORE', actorId: req.user.userId, before: task, after: restored });
+            return restored;
+        });
+        res.status(200).json(restoredTask);
+    } catch (error) {
+        console.error('Error al restaurar la tarea:', error);
+        res.status(500).json({ error: 'No se pudo restaurar la tarea.', details: error.message });
+    }
+});
+
+app.delete('/api/admin/trash/:id', authenticateToken, requireRole('ADMIN'), validate(schemas.taskParams), async (req, res) => {
+    try {
+        const purged = await purgeTrashedTasks({ id: req.params.id }, req.user.userId);
+        if (purged === 0) {
+            return res.status(404).json({ error: 'Tarea no encontrada en la papelera.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error al eliminar definitivamente la tarea:', error);
+        res.status(500).json({ error: 'No se pudo eliminar definitivamente la tarea.', details: error.message });
+    }
+});
+
+app.delete('/api/admin/trash', authenticateToken, requireRole('ADMIN'), validate(schemas.purgeTrash), async (req, res) => {
+    try {
+        const { olderThanDays } = req.query;
+        const where = olderThanDays === undefined ? {} : { deletedAt: { lte: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) } };
+        const purged = await purgeTrashedTasks(where, req.user.userId);
+        res.status(200).json({ purged });
+    } catch (error) {
+        console.error('Error al vaciar la papelera:', error);
+        res.status(500).json({ error: 'No se pudo vaciar la papelera.', details: error.message });
+    }
+});
+
+// Rutas de Administración de Usuarios
+const ADMIN_USER_SELECT = {
+    id: true,
+    email: true,
+    role: true,
+    emailVerifiedAt: true,
+    disabledAt: true,
+    createdAt: true,
+    updatedAt: true
+};
+
+// Impide dejar la aplicación sin ningún administrador activo
+const isLastActiveAdmin = async (user) => {
+    if (user.role !== 'ADMIN' || user.disabledAt) {
+        return false;
+    }
+    const activeAdmins = await prisma.user.count({ where: { role: 'ADMIN', disabledAt: null } });
+    return activeAdmins <= 1;
+};
+
+app.get('/api/admin/users', authenticateToken, requireRole('ADMIN'), validate(schemas.listUsers), async (req, res) => {
+    try {
+        const { search, role, disabled, page, limit } = req.query;
+        const whereClause = {};
+        if (search) {
+            whereClause.email = { contains: search };
+        }
+        if (role) {
+            whereClause.role = role;
+        }
+        if (disabled === true) {
+            whereClause.disabledAt = { not: null };
+        } else if (disabled === false) {
+            whereClause.disabledAt = null;
+        }
+
+        const pageNum = page;
+        const limitNum = limit;
+        const skip = (pageNum - 1) * limitNum;
+
+        const [totalCount, users] = await prisma.$transaction([
+            prisma.user.count({ where: whereClause }),
+            prisma.user.findMany({
+                where: whereClause,
+                select: { ...ADMIN_USER_SELECT, _count: { select: { tasks: true } } },
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: limitNum
+            })
+        ]);
+
+        res.status(200).json({ users, totalCount, currentPage: pageNum, limit: limitNum, totalPages: Math.ceil(totalCount / limitNum) });
+    } catch (error) {
+        console.error('Error al obtener los usuarios:', error);
+        res.status(500).json({ error: 'No se pudieron obtener los usuarios.', details: error.message });
+    }
+});
+
+app.get('/api/admin/users/:id', authenticateToken, requireRole('ADMIN'), validate(schemas.userParams), async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.params.id },
+            select: { ...ADMIN_USER_SELECT, _count: { select: { tasks: true, projects: true, assignedTasks: true } } }
+        });
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error al obtener el usuario:', error);
+        res.status(500).json({ error: 'No se pudo obtener el usuario.', details: error.message });
+    }
+});
+
+app.put('/api/admin/users/:id/role', authenticateToken, requireRole('ADMIN'), validate(schemas.changeUserRole), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        if (role !== 'ADMIN' && await isLastActiveAdmin(user)) {
+            return res.status(409).json({ error: 'No se puede quitar el rol al último administrador activo.' });
+        }
+        const updatedUser = await prisma.user.update({
+            where: { id: user.id },
+            data: { role },
+            select: ADMIN_USER_SELECT
+        });
+        res.status(200).json(updatedUser);
+    } catch (error) {
+        console.error('Error al cambiar el rol del usuario:', error);
+        res.status(500).json({ error: 'No se pudo cambiar el rol del usuario.', details: error.message });
+    }
+});
+
+app.post('/api/admin/users/:id/disable', authenticateToken, requireRole('ADMIN'), validate(schemas.userParams), async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        if (user.id === req.user.userId) {
+            return res.status(409).json({ error: 'No puedes deshabilitar tu propia cuenta.' });
+        }
+        if (await isLastActiveAdmin(user)) {
+            return res.status(409).json({ error: 'No se puede deshabilitar al último administrador activo.' });
+        }
+        // Además de marcar la cuenta, se revocan sus sesiones para que no pueda renovar tokens
+        const [updatedUser] = await prisma.$transaction([
+            prisma.user.update({
+                where: { id: user.id },
+                data: { disabledAt: user.disabledAt || new Date() },
+                select: ADMIN_USER_SELECT
+            }),
+            prisma.session.updateMany({
+                where: { userId: user.id, revokedAt: null },
+                data: { revokedAt: new Date() }
+            })
+        ]);
+        res.status(200).json(updatedUser);
+    } catch (error) {
+        console.error('Error al deshabilitar el usuario:', error);
+        res.status(500).json({ error: 'No se pudo deshabilitar el usuario.', details: error.message });
+    }
+});
+
+app.post('/api/admin/users/:id/enable', authenticateToken, requireRole('ADMIN'), validate(schemas.userParams), async (req, res) => {
+    try {
+        const updatedUser = await prisma.user.update({
+            where: { id: req.params.id },
+            data: { disabledAt: null },
+            select: ADMIN_USER_SELECT
+        });
+        res.status(200).json(updatedUser);
+    } catch (error) {
+        console.error('Error al habilitar el usuario:', error);
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        res.status(500).json({ error: 'No se pudo habilitar el usuario.', details: error.message });
+    }
+});
+
+// Las tareas y proyectos del usuario eliminado pasan a `reassignTo` (por defecto, el administrador que elimina);
+// sus comentarios se conservan sin autor
+app.delete('/api/admin/users/:id', authenticateToken, requireRole('ADMIN'), validate(schemas.deleteUser), async (req, res) => {
+    try {
+        const userId = req.params.id;
+        const reassignToId = req.query.reassignTo || req.user.userId;
+        if (userId === req.user.userId) {
+            return res.status(409).json({ error: 'No puedes eliminar tu propia cuenta.' });
+        }
+        if (userId === reassignToId) {
+            return res.status(400).json({ error: 'No se pueden reasignar las tareas al usuario que se elimina.' });
+        }
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        const reassignTo = await prisma.user.findUnique({ where: { id: reassignToId } });
+        if (!reassignTo) {
+            return res.status(400).json({ error: 'El usuario al que se reasignan las tareas no existe.' });
+        }
+        if (await isLastActiveAdmin(user)) {
+            return res.status(409).json({ error: 'No se puede eliminar al último administrador activo.' });
+        }
+
+        const result = await prisma.$transaction(async (tx) => {
+            // Los cambios que haría la base de datos por su cuenta (quitar la asignación) se aplican antes para auditarlos
+            const reassignedTasks = await updateTasksWithAudit(tx, { userId }, { userId: reassignToId }, req.user.userId);
+            await updateTasksWithAudit(tx, { assigneeId: userId }, { assigneeId: null }, req.user.userId);
+            const ownedProjects = await tx.project.findMany({ where: { ownerId: userId } });
+            for (const project of ownedProjects) {
+                await tx.project.update({ where: { id: project.id }, data: { ownerId: reassignToId } });
+                await tx.projectMember.upsert({
+                    where: { projectId_userId: { projectId: project.id, userId: reassignToId } },
+                    update: { role: 'OWNER' },
+                    create: { projectId: project.id, userId: reassignToId, role: 'OWNER' }
+                });
+            }
+            await tx.user.delete({ where: { id: userId } });
+            return { reassignedTasks, reassignedProjects: ownedProjects.length };
+        }, { timeout: 30000 });
+
+        res.status(200).json({ message: 'Usuario eliminado exitosamente.', reassignedTo: reassignToId, ...result });
+    } catch (error) {
+        console.error('Error al eliminar el usuario:', error);
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'El usuario destino ya tiene un proyecto con el mismo nombre que uno de los reasignados.' });
+        }
+        res.status(500).json({ error: 'No se pudo eliminar el usuario.', details: error.message });
+    }
+});
+
+app.listen(PORT, () => {
+    console.log(`🚀 Servidor de ZenMatrix API corriendo en http://localhost:${PORT}`);
+    console.log('✅ Conectado a la base de datos MySQL con Prisma.');
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+    if (REMINDERS_ENABLED) {
+        runReminderTick();
+        setInterval(runReminderTick, REMINDER_INTERVAL_MS).unref();
+    }
 });
 
 process.on('beforeExit', async () => {
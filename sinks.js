@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Piezas comunes del correo (mailer.js) y de los avisos (notifier.js): un registro de fábricas por nombre
+// y los destinos de desarrollo y tests. Un destino es cualquier objeto con `send(message)` que devuelva una promesa.
+
+// `register(name, factory)` añade o sustituye una fábrica; `create(name, options)` instancia la indicada
+const createRegistry = (label, factories = {}) => ({
+    register: (name, factory) => {
+        factories[name] = factory;
+    },
+    create: (name, options) => {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`${label} desconocido: ${name}`);
+        }
+        return factory(options);
+    }
+});
+
+// Imprime cada mensaje por consola con el texto que devuelve `format`
+const createConsoleSink = (format) => ({
+    send: async (message) => {
+        console.log(format(message));
+    }
+});
+
+// Guarda cada mensaje como un archivo JSON en `dir`, con el nombre que devuelve `fileName`
+const createFileSink = ({ dir }, fileName) => ({
+    send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, fileName(message)), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+});
+
+module.exports = { createRegistry, createConsoleSink, createFileSink };
@@ -0,0 +1,195 @@
+// Validación declarativa de peticiones.
+// Un esquema describe, para `params`, `query` y `body`, las reglas de cada campo:
+//   { type: 'string' | 'email' | 'int' | 'boolean' | 'date' | 'enum' | 'array' | 'object', required, nullable, default, min, max, values, items, fields }
+// Los textos se recortan salvo con `trim: false` (contraseñas); `maxBytes` limita su tamaño en bytes UTF-8.
+// El middleware convierte los valores al tipo indicado (los query params siempre llegan como texto),
+// descarta los campos que el esquema no declara y responde 400 con un mensaje por campo si algo falla.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+const coerceString = (value, rule) => {
+    if (typeof value !== 'string') {
+        return { error: 'Debe ser un texto.' };
+    }
+    const trimmed = rule.trim === false ? value : value.trim();
+    if (rule.min !== undefined && trimmed.length < rule.min) {
+        return { error: `Debe tener al menos ${rule.min} caracteres.` };
+    }
+    if (rule.max !== undefined && trimmed.length > rule.max) {
+        return { error: `Debe tener como máximo ${rule.max} caracteres.` };
+    }
+    if (rule.maxBytes !== undefined && Buffer.byteLength(trimmed) > rule.maxBytes) {
+        return { error: `Debe ocupar como máximo ${rule.maxBytes} bytes.` };
+    }
+    if (rule.pattern && !rule.pattern.test(trimmed)) {
+        return { error: rule.patternMessage || 'Formato inválido.' };
+    }
+    return { value: trimmed };
+};
+
+const coercers = {
+    string: coerceString,
+
+    email: (value, rule) => {
+        const result = coerceString(value, { max: 191, ...rule });
+        if (result.error) {
+            return result;
+        }
+        if (!EMAIL_REGEX.test(result.value)) {
+            return { error: 'Debe ser un email válido.' };
+        }
+        return result;
+    },
+
+    int: (value, rule) => {
+        const number = typeof value === 'number' ? value : (typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : NaN);
+        if (!Number.isInteger(number)) {
+            return { error: 'Debe ser un número entero.' };
+        }
+        if (rule.min !== undefined && number < rule.min) {
+            return { error: `Debe ser mayor o igual que ${rule.min}.` };
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return { error: `Debe ser menor o igual que ${rule.max}.` };
+        }
+        return { value: number };
+    },
+
+    boolean: (value) => {
+        if (value === true || value === 'true') {
+            return { value: true };
+        }
+        if (value === false || value === 'false') {
+            return { value: false };
+        }
+        return { error: 'Debe ser true o false.' };
+    },
+
+    // Solo ISO 8601: AAAA-MM-DD o fecha y hora completas. Se rechazan las fechas imposibles (2025-02-31),
+    // que `new Date` desbordaría al mes siguiente
+    date: (value) => {
+        const match = typeof value === 'string' ? ISO_DATE_REGEX.exec(value.trim()) : null;
+        if (!match) {
+            return { error: 'Debe ser una fecha válida (AAAA-MM-DD o fecha y hora ISO 8601).' };
+        }
+        const [year, month, day] = match.slice(1, 4).map(Number);
+        const date = new Date(value.trim());
+        const calendarDate = new Date(Date.UTC(year, month - 1, day));
+        if (Number.isNaN(date.getTime()) || calendarDate.getUTCFullYear() !== year || calendarDate.getUTCMonth() !== month - 1 || calendarDate.getUTCDate() !== day) {
+            return { error: 'Debe ser una fecha válida.' };
+        }
+        return { value: date };
+    },
+
+    enum: (value, rule) => {
+        const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+        const match = rule.values.find(allowed => (typeof allowed === 'string' ? allowed.toLowerCase() : allowed) === normalized);
+        if (match === undefined) {
+            return { error: `Valor inválido. Valores permitidos: ${rule.values.join(', ')}.` };
+        }
+        return { value: match };
+    },
+
+    // Lista de valores que cumplen la regla `items`; en query se acepta también `a,b,c`
+    array: (value, rule) => {
+        const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+        if (!Array.isArray(list)) {
+            return { error: 'Debe ser una lista.' };
+        }
+        if (rule.min !== undefined && list.length < rule.min) {
+            return { error: `Debe tener al menos ${rule.min} elementos.` };
+        }
+        if (rule.max !== undefined && list.length > rule.max) {
+            return { error: `Debe tener como máximo ${rule.max} elementos.` };
+        }
+        const values = [];
+        for (const [index, item] of list.entries()) {
+            const result = coercers[rule.items.type](item, rule.items);
+            if (result.error) {
+                return { error: `Elemento ${index + 1}: ${result.error}` };
+            }
+            values.push(result.value);
+        }
+        return { value: values };
+    },
+
+    // Objeto anidado con sus propias reglas en `fields`; `source: 'query'` aplica la semántica de los query params
+    object: (value, rule) => {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return { error: 'Debe ser un objeto.' };
+        }
+        const { values, errors } = validateSource(value, rule.fields, rule.source || 'body');
+        const messages = Object.entries(errors).map(([field, message]) => `${field}: ${message}`);
+        if (messages.length > 0) {
+            return { error: messages.join(' ') };
+        }
+        return { value: values };
+    },
+};
+
+const checkField = (value, rule, source) => {
+    // En query un parámetro vacío (`?priority=`) equivale a no enviarlo
+    const isMissing = value === undefined || (source === 'query' && value === '');
+    if (isMissing) {
+        if (rule.required) {
+            return { error: 'Campo obligatorio.' };
+        }
+        return { value: rule.default };
+    }
+    if (value === null) {
+        if (rule.nullable) {
+            return { value: null };
+        }
+        return { error: rule.required ? 'Campo obligatorio.' : 'No puede ser nulo.' };
+    }
+    const coerce = coercers[rule.type];
+    if (!coerce) {
+        throw new Error(`Tipo de validación desconocido: ${rule.type}`);
+    }
+    return coerce(value, rule);
+};
+
+// Valida un objeto suelto contra un mapa de reglas; `source: 'query'` trata los textos vacíos como ausentes
+const validateSource = (input, fields, source = 'body') => {
+    const values = {};
+    const errors = {};
+    for (const [field, rule] of Object.entries(fields)) {
+        const result = checkField(input ? input[field] : undefined, rule, source);
+        if (result.error) {
+            errors[field] = result.error;
+        } else if (result.value !== undefined) {
+            values[field] = result.value;
+        }
+    }
+    return { values, errors };
+};
+
+const validate = (schema) => (req, res, next) => {
+    const fieldErrors = {};
+    const validated = {};
+    for (const source of ['params', 'query', 'body']) {
+        if (!schema[source]) {
+            continue;
+        }
+        const { values, errors } = validateSource(req[source], schema[source], source);
+        Object.assign(fieldErrors, errors);
+        validated[source] = values;
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        return res.status(400).json({ error: 'Datos de entrada inválidos.', fields: fieldErrors });
+    }
+    if (validated.params) {
+        req.params = validated.params;
+    }
+    if (validated.body) {
+        req.body = validated.body;
+    }
+    if (validated.query) {
+        // En Express 5 `req.query` es un getter de solo lectura; se sombrea con los valores convertidos
+        Object.defineProperty(req, 'query', { value: validated.query, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+};
+
+module.exports = { validate, validateSource };